@@ -15,6 +15,12 @@ export default [
         __filename: 'readonly',
         // ES2022 globals
         globalThis: 'readonly',
+        // Globals shared by Node.js and browsers
+        TextEncoder: 'readonly',
+        TextDecoder: 'readonly',
+        setTimeout: 'readonly',
+        performance: 'readonly',
+        AbortController: 'readonly',
       },
     },
     rules: {
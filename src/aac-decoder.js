@@ -0,0 +1,1076 @@
+/**
+ * AAC-LC Decoder
+ *
+ * Decode AAC-LC access units to Float32 PCM in pure JS, so stems can be
+ * analysed in Node.js or in workers without FFmpeg or Web Audio.
+ *
+ * Supports SCE/CPE/LFE elements with TNS, PNS, M/S and intensity stereo.
+ * SBR/PS extension data (HE-AAC) is skipped and the AAC-LC core is returned.
+ */
+
+import {
+  SAMPLE_RATES,
+  CODEBOOKS,
+  SCALEFACTOR_CODEBOOK,
+  SWB_OFFSET_LONG,
+  SWB_OFFSET_SHORT,
+  TNS_MAX_BANDS_LONG,
+  TNS_MAX_BANDS_SHORT,
+} from './aac-tables.js';
+import { getTrackSamples, parseAudioSpecificConfig } from './extractor.js';
+
+// Syntactic element IDs
+const ID_SCE = 0;
+const ID_CPE = 1;
+const ID_CCE = 2;
+const ID_LFE = 3;
+const ID_DSE = 4;
+const ID_PCE = 5;
+const ID_FIL = 6;
+const ID_END = 7;
+
+// Window sequences
+const LONG_START_SEQUENCE = 1;
+const EIGHT_SHORT_SEQUENCE = 2;
+const LONG_STOP_SEQUENCE = 3;
+
+// Special codebooks
+const ZERO_HCB = 0;
+const ESC_HCB = 11;
+const NOISE_HCB = 13;
+const INTENSITY_HCB2 = 14;
+const INTENSITY_HCB = 15;
+
+const AOT_AAC_LC = 2;
+const FRAME_LENGTH = 1024;
+const SF_OFFSET = 100;
+
+/**
+ * MSB-first bit reader over a Uint8Array
+ */
+class BitReader {
+  constructor(data) {
+    this.data = data;
+    this.pos = 0;
+    this.length = data.length * 8;
+  }
+
+  readBit() {
+    const bit = (this.data[this.pos >> 3] >> (7 - (this.pos & 7))) & 1;
+    this.pos++;
+    return bit;
+  }
+
+  read(count) {
+    let value = 0;
+    for (let i = 0; i < count; i++) {
+      value = value * 2 + this.readBit();
+    }
+    return value;
+  }
+
+  skip(count) {
+    this.pos += count;
+  }
+
+  byteAlign() {
+    this.pos = (this.pos + 7) & ~7;
+  }
+
+  bitsLeft() {
+    return this.length - this.pos;
+  }
+}
+
+/**
+ * Build a binary decode tree from codewords and their lengths
+ * Each node holds two slots: > 0 points at a child node, < 0 is -(symbol + 1).
+ */
+function buildHuffmanTree(codes, bits) {
+  const tree = new Int32Array(codes.length * 4);
+  let nextNode = 1;
+
+  for (let symbol = 0; symbol < codes.length; symbol++) {
+    let node = 0;
+    for (let i = bits[symbol] - 1; i >= 0; i--) {
+      const slot = node * 2 + ((codes[symbol] >>> i) & 1);
+      if (i === 0) {
+        tree[slot] = -(symbol + 1);
+      } else {
+        if (tree[slot] === 0) tree[slot] = nextNode++;
+        node = tree[slot];
+      }
+    }
+  }
+
+  return tree;
+}
+
+/**
+ * Decode one Huffman symbol
+ */
+function decodeHuffman(reader, tree) {
+  let node = 0;
+  for (;;) {
+    const next = tree[node * 2 + reader.readBit()];
+    if (next < 0) return -next - 1;
+    if (next === 0 || reader.pos > reader.length) {
+      throw new Error('Invalid Huffman codeword');
+    }
+    node = next;
+  }
+}
+
+/**
+ * Expand spectral codebook indices to their value tuples
+ */
+function buildCodebookValues(codebook) {
+  const { dimension, signed, lav } = codebook;
+  const modulo = signed ? 2 * lav + 1 : lav + 1;
+  const offset = signed ? lav : 0;
+  const values = new Int8Array(codebook.codes.length * dimension);
+
+  for (let index = 0; index < codebook.codes.length; index++) {
+    let rest = index;
+    for (let d = dimension - 1; d >= 0; d--) {
+      values[index * dimension + d] = (rest % modulo) - offset;
+      rest = Math.floor(rest / modulo);
+    }
+  }
+
+  return values;
+}
+
+const SPECTRAL_CODEBOOKS = CODEBOOKS.map((codebook) => codebook && {
+  ...codebook,
+  tree: buildHuffmanTree(codebook.codes, codebook.bits),
+  values: buildCodebookValues(codebook),
+});
+const SCALEFACTOR_TREE = buildHuffmanTree(SCALEFACTOR_CODEBOOK.codes, SCALEFACTOR_CODEBOOK.bits);
+
+// |q|^(4/3) for every legal quantized value
+const POW_4_3 = new Float32Array(8192);
+for (let i = 0; i < POW_4_3.length; i++) {
+  POW_4_3[i] = Math.pow(i, 4 / 3);
+}
+
+/**
+ * Zeroth-order modified Bessel function (for KBD windows)
+ */
+function besselI0(x) {
+  let sum = 1;
+  let term = 1;
+  for (let k = 1; k < 50; k++) {
+    term *= (x / (2 * k)) * (x / (2 * k));
+    sum += term;
+    if (term < sum * 1e-12) break;
+  }
+  return sum;
+}
+
+/**
+ * Rising half of a sine window of the given full length
+ */
+function sineWindow(length) {
+  const half = length / 2;
+  const window = new Float32Array(half);
+  for (let n = 0; n < half; n++) {
+    window[n] = Math.sin((Math.PI / length) * (n + 0.5));
+  }
+  return window;
+}
+
+/**
+ * Rising half of a Kaiser-Bessel-derived window of the given full length
+ */
+function kbdWindow(length, alpha) {
+  const half = length / 2;
+  const kernel = new Float64Array(half + 1);
+  let total = 0;
+
+  for (let n = 0; n <= half; n++) {
+    const ratio = (n - half / 2) / (half / 2);
+    kernel[n] = besselI0(Math.PI * alpha * Math.sqrt(Math.max(0, 1 - ratio * ratio)));
+    total += kernel[n];
+  }
+
+  const window = new Float32Array(half);
+  let running = 0;
+  for (let n = 0; n < half; n++) {
+    running += kernel[n];
+    window[n] = Math.sqrt(running / total);
+  }
+  return window;
+}
+
+// Indexed by window_shape: 0 = sine, 1 = KBD
+const LONG_WINDOWS = [sineWindow(2048), kbdWindow(2048, 4)];
+const SHORT_WINDOWS = [sineWindow(256), kbdWindow(256, 6)];
+
+/**
+ * In-place iterative radix-2 complex FFT
+ */
+function fft(re, im) {
+  const n = re.length;
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      let t = re[i]; re[i] = re[j]; re[j] = t;
+      t = im[i]; im[i] = im[j]; im[j] = t;
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const step = (-2 * Math.PI) / size;
+    for (let k = 0; k < half; k++) {
+      const wr = Math.cos(step * k);
+      const wi = Math.sin(step * k);
+      for (let i = k; i < n; i += size) {
+        const j = i + half;
+        const tr = re[j] * wr - im[j] * wi;
+        const ti = re[j] * wi + im[j] * wr;
+        re[j] = re[i] - tr;
+        im[j] = im[i] - ti;
+        re[i] += tr;
+        im[i] += ti;
+      }
+    }
+  }
+}
+
+/**
+ * Inverse MDCT of `spec` (N/2 coefficients) into `out` (N samples)
+ * x[i] = 2/N * sum(spec[k] * cos(2π/N * (i + n0) * (k + 1/2))), n0 = (N/2 + 1) / 2
+ * Computed as a DCT-IV through an N/4-point complex FFT, then unfolded.
+ */
+function createImdct(length) {
+  const m = length / 2;
+  const h = m / 2;
+  const preCos = new Float64Array(h);
+  const preSin = new Float64Array(h);
+  const postCos = new Float64Array(h);
+  const postSin = new Float64Array(h);
+
+  for (let k = 0; k < h; k++) {
+    preCos[k] = Math.cos((-Math.PI * (4 * k + 1)) / (4 * m));
+    preSin[k] = Math.sin((-Math.PI * (4 * k + 1)) / (4 * m));
+    postCos[k] = Math.cos((-Math.PI * k) / m);
+    postSin[k] = Math.sin((-Math.PI * k) / m);
+  }
+
+  const re = new Float64Array(h);
+  const im = new Float64Array(h);
+  const dct = new Float64Array(m);
+  const scale = 1 / m;
+
+  return (spec, out) => {
+    // DCT-IV of the spectrum
+    for (let k = 0; k < h; k++) {
+      const a = spec[2 * k];
+      const b = spec[m - 1 - 2 * k];
+      re[k] = a * preCos[k] - b * preSin[k];
+      im[k] = a * preSin[k] + b * preCos[k];
+    }
+    fft(re, im);
+    for (let n = 0; n < h; n++) {
+      dct[2 * n] = re[n] * postCos[n] - im[n] * postSin[n];
+      dct[m - 1 - 2 * n] = -(re[n] * postSin[n] + im[n] * postCos[n]);
+    }
+
+    // Unfold to 2M samples with the MDCT phase shift of M/2
+    const q = m / 2;
+    for (let i = 0; i < q; i++) {
+      out[i] = dct[i + q] * scale;
+    }
+    for (let i = q; i < 3 * q; i++) {
+      out[i] = -dct[3 * q - 1 - i] * scale;
+    }
+    for (let i = 3 * q; i < 2 * m; i++) {
+      out[i] = -dct[i - 3 * q] * scale;
+    }
+  };
+}
+
+const imdctLong = createImdct(2048);
+const imdctShort = createImdct(256);
+
+/**
+ * Map an explicit sample rate to the closest table index
+ */
+function nearestRateIndex(sampleRate) {
+  let best = 0;
+  for (let i = 1; i < SAMPLE_RATES.length; i++) {
+    if (Math.abs(SAMPLE_RATES[i] - sampleRate) < Math.abs(SAMPLE_RATES[best] - sampleRate)) {
+      best = i;
+    }
+  }
+  return best;
+}
+
+/**
+ * AAC-LC frame decoder
+ *
+ * Keeps the per-channel overlap state, so frames must be fed in decode order.
+ */
+export class AacDecoder {
+  /**
+   * @param {Uint8Array|Object} audioSpecificConfig - Raw AudioSpecificConfig bytes or a config
+   *   from the extractor's parseAudioSpecificConfig
+   */
+  constructor(audioSpecificConfig) {
+    const config = audioSpecificConfig instanceof Uint8Array
+      ? parseAudioSpecificConfig(audioSpecificConfig)
+      : audioSpecificConfig;
+
+    // HE-AAC decodes as its AAC-LC core
+    if (config.coreObjectType !== AOT_AAC_LC) {
+      throw new Error(`Unsupported AAC object type ${config.coreObjectType} (only AAC-LC is supported)`);
+    }
+    if (config.frameLength !== FRAME_LENGTH) {
+      throw new Error(`Unsupported AAC frame length ${config.frameLength}`);
+    }
+
+    const rateIndex = config.samplingFrequencyIndex === 15
+      ? nearestRateIndex(config.coreSampleRate)
+      : config.samplingFrequencyIndex;
+
+    this.config = config;
+    this.sampleRate = config.coreSampleRate;
+    this.swbOffsetLong = SWB_OFFSET_LONG[rateIndex];
+    this.swbOffsetShort = SWB_OFFSET_SHORT[rateIndex];
+    this.tnsMaxBandsLong = TNS_MAX_BANDS_LONG[rateIndex];
+    this.tnsMaxBandsShort = TNS_MAX_BANDS_SHORT[rateIndex];
+    this.channelStates = [];
+    this.randomState = 0x1f2e3d4c;
+    this.imdctBuffer = new Float32Array(2048);
+    this.shortBuffer = new Float32Array(256);
+  }
+
+  /**
+   * Forget the overlap state (e.g. after seeking)
+   */
+  reset() {
+    this.channelStates = [];
+  }
+
+  /**
+   * Decode one raw AAC access unit
+   * @param {Uint8Array} frame - Raw data block (as stored in an MP4 sample)
+   * @returns {Array<Float32Array>} 1024 samples per output channel
+   */
+  decodeFrame(frame) {
+    const reader = new BitReader(frame);
+    const output = [];
+    let channel = 0;
+
+    for (;;) {
+      if (reader.bitsLeft() < 3) break;
+      const id = reader.read(3);
+      if (id === ID_END) break;
+
+      switch (id) {
+        case ID_SCE:
+        case ID_LFE: {
+          reader.skip(4); // element_instance_tag
+          const ics = this._decodeIcs(reader, false, null);
+          output.push(this._synthesize(ics, channel++));
+          break;
+        }
+        case ID_CPE: {
+          reader.skip(4);
+          const [left, right] = this._decodeCpe(reader);
+          output.push(this._synthesize(left, channel++));
+          output.push(this._synthesize(right, channel++));
+          break;
+        }
+        case ID_CCE:
+          throw new Error('AAC coupling channel elements are not supported');
+        case ID_DSE:
+          this._skipDataStream(reader);
+          break;
+        case ID_PCE:
+          this._skipProgramConfig(reader);
+          break;
+        case ID_FIL: {
+          let count = reader.read(4);
+          if (count === 15) count += reader.read(8) - 1;
+          reader.skip(count * 8);
+          break;
+        }
+      }
+
+      if (reader.bitsLeft() < 0) {
+        throw new Error('AAC frame is truncated');
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * Skip a data_stream_element
+   * @private
+   */
+  _skipDataStream(reader) {
+    reader.skip(4);
+    const align = reader.readBit();
+    let count = reader.read(8);
+    if (count === 255) count += reader.read(8);
+    if (align) reader.byteAlign();
+    reader.skip(count * 8);
+  }
+
+  /**
+   * Skip a program_config_element
+   * @private
+   */
+  _skipProgramConfig(reader) {
+    reader.skip(4 + 2 + 4);
+    const front = reader.read(4);
+    const side = reader.read(4);
+    const back = reader.read(4);
+    const lfe = reader.read(2);
+    const assocData = reader.read(3);
+    const cc = reader.read(4);
+    if (reader.readBit()) reader.skip(4); // mono mixdown
+    if (reader.readBit()) reader.skip(4); // stereo mixdown
+    if (reader.readBit()) reader.skip(3); // matrix mixdown
+    reader.skip((front + side + back) * 5 + lfe * 4 + assocData * 4 + cc * 5);
+    reader.byteAlign();
+    reader.skip(reader.read(8) * 8); // comment
+  }
+
+  /**
+   * Parse ics_info
+   * @private
+   */
+  _readIcsInfo(reader) {
+    reader.skip(1); // ics_reserved_bit
+    const windowSequence = reader.read(2);
+    const windowShape = reader.readBit();
+    const info = { windowSequence, windowShape };
+
+    if (windowSequence === EIGHT_SHORT_SEQUENCE) {
+      info.maxSfb = reader.read(4);
+      const grouping = reader.read(7);
+      info.windowGroupLength = [1];
+      for (let i = 6; i >= 0; i--) {
+        if ((grouping >> i) & 1) {
+          info.windowGroupLength[info.windowGroupLength.length - 1]++;
+        } else {
+          info.windowGroupLength.push(1);
+        }
+      }
+      info.swbOffset = this.swbOffsetShort;
+      info.tnsMaxBands = this.tnsMaxBandsShort;
+    } else {
+      info.maxSfb = reader.read(6);
+      if (reader.readBit()) {
+        throw new Error('AAC prediction is not supported (not an AAC-LC stream)');
+      }
+      info.windowGroupLength = [1];
+      info.swbOffset = this.swbOffsetLong;
+      info.tnsMaxBands = this.tnsMaxBandsLong;
+    }
+
+    info.numSwb = info.swbOffset.length - 1;
+    if (info.maxSfb > info.numSwb) {
+      throw new Error(`Invalid max_sfb ${info.maxSfb}`);
+    }
+
+    return info;
+  }
+
+  /**
+   * Parse a channel_pair_element and apply joint stereo
+   * @private
+   */
+  _decodeCpe(reader) {
+    const commonWindow = reader.readBit();
+    let info = null;
+    let msMask = null;
+
+    if (commonWindow) {
+      info = this._readIcsInfo(reader);
+      const msMaskPresent = reader.read(2);
+      if (msMaskPresent === 3) {
+        throw new Error('Invalid ms_mask_present value');
+      }
+      msMask = [];
+      for (let g = 0; g < info.windowGroupLength.length; g++) {
+        const groupMask = new Uint8Array(info.maxSfb);
+        for (let sfb = 0; sfb < info.maxSfb; sfb++) {
+          groupMask[sfb] = msMaskPresent === 2 ? 1 : msMaskPresent === 1 ? reader.readBit() : 0;
+        }
+        msMask.push(groupMask);
+      }
+      info.msMaskPresent = msMaskPresent;
+    }
+
+    const left = this._decodeIcs(reader, commonWindow, info);
+    const right = this._decodeIcs(reader, commonWindow, info);
+
+    if (commonWindow) {
+      this._applyJointStereo(left, right, msMask, info.msMaskPresent);
+    }
+
+    this._applyTns(left);
+    this._applyTns(right);
+
+    return [left, right];
+  }
+
+  /**
+   * Parse an individual_channel_stream and dequantize its spectrum
+   * TNS is applied by the caller (after joint stereo for channel pairs).
+   * @private
+   */
+  _decodeIcs(reader, commonWindow, sharedInfo) {
+    const globalGain = reader.read(8);
+    const info = commonWindow ? sharedInfo : this._readIcsInfo(reader);
+    const isShort = info.windowSequence === EIGHT_SHORT_SEQUENCE;
+
+    const sectionCodebooks = this._readSectionData(reader, info, isShort);
+    const scaleFactors = this._readScaleFactors(reader, info, sectionCodebooks, globalGain);
+
+    let pulse = null;
+    if (reader.readBit()) {
+      if (isShort) throw new Error('Pulse data is not allowed in short windows');
+      pulse = { count: reader.read(2) + 1, startSfb: reader.read(6), offsets: [], amps: [] };
+      for (let i = 0; i < pulse.count; i++) {
+        pulse.offsets.push(reader.read(5));
+        pulse.amps.push(reader.read(4));
+      }
+    }
+
+    let tns = null;
+    if (reader.readBit()) {
+      tns = this._readTns(reader, info, isShort);
+    }
+
+    if (reader.readBit()) {
+      throw new Error('AAC gain control is not supported (not an AAC-LC stream)');
+    }
+
+    const quantized = this._readSpectralData(reader, info, sectionCodebooks);
+
+    if (pulse) {
+      let k = info.swbOffset[pulse.startSfb];
+      for (let i = 0; i < pulse.count; i++) {
+        k += pulse.offsets[i];
+        if (k >= FRAME_LENGTH) throw new Error('Pulse data out of range');
+        quantized[k] += quantized[k] > 0 ? pulse.amps[i] : -pulse.amps[i];
+      }
+    }
+
+    const spectrum = this._dequantize(info, sectionCodebooks, scaleFactors, quantized);
+
+    return { info, sectionCodebooks, scaleFactors, spectrum, tns };
+  }
+
+  /**
+   * Parse section_data: the codebook used by each scalefactor band
+   * @private
+   */
+  _readSectionData(reader, info, isShort) {
+    const sectionBits = isShort ? 3 : 5;
+    const escape = (1 << sectionBits) - 1;
+    const codebooks = [];
+
+    for (let g = 0; g < info.windowGroupLength.length; g++) {
+      const groupCodebooks = new Uint8Array(info.maxSfb);
+      let sfb = 0;
+
+      while (sfb < info.maxSfb) {
+        const codebook = reader.read(4);
+        if (codebook === 12) throw new Error('Invalid codebook 12');
+
+        let length = 0;
+        let increment;
+        while ((increment = reader.read(sectionBits)) === escape) {
+          length += escape;
+          if (reader.bitsLeft() < 0) throw new Error('AAC frame is truncated');
+        }
+        length += increment;
+
+        if (sfb + length > info.maxSfb) {
+          throw new Error('Section data exceeds max_sfb');
+        }
+        groupCodebooks.fill(codebook, sfb, sfb + length);
+        sfb += length;
+      }
+
+      codebooks.push(groupCodebooks);
+    }
+
+    return codebooks;
+  }
+
+  /**
+   * Parse scale_factor_data into absolute scalefactors / intensity positions / noise energies
+   * @private
+   */
+  _readScaleFactors(reader, info, sectionCodebooks, globalGain) {
+    let scaleFactor = globalGain;
+    let intensityPosition = 0;
+    let noiseEnergy = globalGain - 90;
+    let noisePcm = true;
+    const scaleFactors = [];
+
+    for (let g = 0; g < info.windowGroupLength.length; g++) {
+      const groupFactors = new Int32Array(info.maxSfb);
+
+      for (let sfb = 0; sfb < info.maxSfb; sfb++) {
+        const codebook = sectionCodebooks[g][sfb];
+
+        if (codebook === ZERO_HCB) {
+          continue;
+        } else if (codebook === INTENSITY_HCB || codebook === INTENSITY_HCB2) {
+          intensityPosition += decodeHuffman(reader, SCALEFACTOR_TREE) - 60;
+          groupFactors[sfb] = intensityPosition;
+        } else if (codebook === NOISE_HCB) {
+          if (noisePcm) {
+            noisePcm = false;
+            noiseEnergy += reader.read(9) - 256;
+          } else {
+            noiseEnergy += decodeHuffman(reader, SCALEFACTOR_TREE) - 60;
+          }
+          groupFactors[sfb] = noiseEnergy;
+        } else {
+          scaleFactor += decodeHuffman(reader, SCALEFACTOR_TREE) - 60;
+          if (scaleFactor < 0 || scaleFactor > 255) {
+            throw new Error(`Scalefactor ${scaleFactor} out of range`);
+          }
+          groupFactors[sfb] = scaleFactor;
+        }
+      }
+
+      scaleFactors.push(groupFactors);
+    }
+
+    return scaleFactors;
+  }
+
+  /**
+   * Parse tns_data
+   * @private
+   */
+  _readTns(reader, info, isShort) {
+    const windows = isShort ? 8 : 1;
+    const filterCountBits = isShort ? 1 : 2;
+    const lengthBits = isShort ? 4 : 6;
+    const orderBits = isShort ? 3 : 5;
+    const tns = [];
+
+    for (let w = 0; w < windows; w++) {
+      const filters = [];
+      const count = reader.read(filterCountBits);
+
+      if (count) {
+        const coefRes = reader.readBit();
+        for (let f = 0; f < count; f++) {
+          const filter = { length: reader.read(lengthBits), order: reader.read(orderBits) };
+
+          if (filter.order) {
+            filter.direction = reader.readBit();
+            const compress = reader.readBit();
+            const resolution = coefRes + 3;
+            const coefBits = resolution - compress;
+
+            // Inverse quantization of the reflection coefficients
+            const iqfac = ((1 << (resolution - 1)) - 0.5) / (Math.PI / 2);
+            const iqfacM = ((1 << (resolution - 1)) + 0.5) / (Math.PI / 2);
+            const parcor = [];
+            for (let i = 0; i < filter.order; i++) {
+              let value = reader.read(coefBits);
+              if (value >= 1 << (coefBits - 1)) value -= 1 << coefBits;
+              parcor.push(Math.sin(value / (value >= 0 ? iqfac : iqfacM)));
+            }
+
+            // Convert to direct-form LPC coefficients
+            const lpc = [1];
+            for (let m = 1; m <= filter.order; m++) {
+              const next = lpc.slice();
+              for (let i = 1; i < m; i++) {
+                next[i] = lpc[i] + parcor[m - 1] * lpc[m - i];
+              }
+              next[m] = parcor[m - 1];
+              lpc.splice(0, lpc.length, ...next);
+            }
+            filter.lpc = lpc;
+          }
+
+          filters.push(filter);
+        }
+      }
+
+      tns.push(filters);
+    }
+
+    return tns;
+  }
+
+  /**
+   * Parse spectral_data into quantized values, in window order
+   * @private
+   */
+  _readSpectralData(reader, info, sectionCodebooks) {
+    const quantized = new Int32Array(FRAME_LENGTH);
+    const windowLength = info.windowSequence === EIGHT_SHORT_SEQUENCE ? 128 : FRAME_LENGTH;
+    let groupWindow = 0;
+
+    for (let g = 0; g < info.windowGroupLength.length; g++) {
+      const groupLength = info.windowGroupLength[g];
+
+      for (let sfb = 0; sfb < info.maxSfb; sfb++) {
+        const cb = sectionCodebooks[g][sfb];
+        if (cb === ZERO_HCB || cb >= NOISE_HCB) continue;
+
+        const codebook = SPECTRAL_CODEBOOKS[cb];
+        const { dimension, signed, tree, values } = codebook;
+        const start = info.swbOffset[sfb];
+        const end = info.swbOffset[sfb + 1];
+
+        for (let w = 0; w < groupLength; w++) {
+          const base = (groupWindow + w) * windowLength;
+
+          for (let k = start; k < end; k += dimension) {
+            const index = decodeHuffman(reader, tree);
+
+            for (let d = 0; d < dimension; d++) {
+              let value = values[index * dimension + d];
+              if (!signed && value !== 0 && reader.readBit()) {
+                value = -value;
+              }
+              quantized[base + k + d] = value;
+            }
+
+            if (cb === ESC_HCB) {
+              for (let d = 0; d < dimension; d++) {
+                const value = quantized[base + k + d];
+                if (value === 16 || value === -16) {
+                  let prefix = 0;
+                  while (reader.readBit()) {
+                    prefix++;
+                    if (prefix > 8) throw new Error('Invalid escape sequence');
+                  }
+                  const magnitude = (1 << (prefix + 4)) + reader.read(prefix + 4);
+                  quantized[base + k + d] = value < 0 ? -magnitude : magnitude;
+                }
+              }
+            }
+          }
+        }
+      }
+
+      groupWindow += groupLength;
+    }
+
+    return quantized;
+  }
+
+  /**
+   * Inverse quantization, scalefactor application and perceptual noise substitution
+   * @private
+   */
+  _dequantize(info, sectionCodebooks, scaleFactors, quantized) {
+    const spectrum = new Float32Array(FRAME_LENGTH);
+    const windowLength = info.windowSequence === EIGHT_SHORT_SEQUENCE ? 128 : FRAME_LENGTH;
+    let groupWindow = 0;
+
+    for (let g = 0; g < info.windowGroupLength.length; g++) {
+      for (let sfb = 0; sfb < info.maxSfb; sfb++) {
+        const cb = sectionCodebooks[g][sfb];
+        const start = info.swbOffset[sfb];
+        const end = info.swbOffset[sfb + 1];
+
+        for (let w = 0; w < info.windowGroupLength[g]; w++) {
+          const base = (groupWindow + w) * windowLength;
+
+          if (cb === NOISE_HCB) {
+            let energy = 0;
+            for (let k = start; k < end; k++) {
+              const value = this._random();
+              spectrum[base + k] = value;
+              energy += value * value;
+            }
+            const scale = Math.pow(2, 0.25 * scaleFactors[g][sfb]) / Math.sqrt(energy);
+            for (let k = start; k < end; k++) {
+              spectrum[base + k] *= scale;
+            }
+          } else if (cb !== ZERO_HCB && cb < NOISE_HCB) {
+            const gain = Math.pow(2, 0.25 * (scaleFactors[g][sfb] - SF_OFFSET));
+            for (let k = start; k < end; k++) {
+              const q = quantized[base + k];
+              if (q !== 0) {
+                const magnitude = POW_4_3[q < 0 ? -q : q] * gain;
+                spectrum[base + k] = q < 0 ? -magnitude : magnitude;
+              }
+            }
+          }
+        }
+      }
+
+      groupWindow += info.windowGroupLength[g];
+    }
+
+    return spectrum;
+  }
+
+  /**
+   * Uniform random value in [-1, 1) from a linear congruential generator
+   * @private
+   */
+  _random() {
+    this.randomState = (Math.imul(this.randomState, 1664525) + 1013904223) | 0;
+    return this.randomState / 2147483648;
+  }
+
+  /**
+   * Apply M/S and intensity stereo to a channel pair sharing one ics_info
+   * @private
+   */
+  _applyJointStereo(left, right, msMask, msMaskPresent) {
+    const { info } = left;
+    const windowLength = info.windowSequence === EIGHT_SHORT_SEQUENCE ? 128 : FRAME_LENGTH;
+    const l = left.spectrum;
+    const r = right.spectrum;
+    let groupWindow = 0;
+
+    for (let g = 0; g < info.windowGroupLength.length; g++) {
+      for (let sfb = 0; sfb < info.maxSfb; sfb++) {
+        const leftCb = left.sectionCodebooks[g][sfb];
+        const rightCb = right.sectionCodebooks[g][sfb];
+        const msUsed = msMask[g][sfb] === 1;
+        const start = info.swbOffset[sfb];
+        const end = info.swbOffset[sfb + 1];
+
+        for (let w = 0; w < info.windowGroupLength[g]; w++) {
+          const base = (groupWindow + w) * windowLength;
+
+          if (rightCb === INTENSITY_HCB || rightCb === INTENSITY_HCB2) {
+            let scale = Math.pow(0.5, 0.25 * right.scaleFactors[g][sfb]);
+            if (rightCb === INTENSITY_HCB2) scale = -scale;
+            if (msMaskPresent === 1 && msUsed) scale = -scale;
+            for (let k = start; k < end; k++) {
+              r[base + k] = l[base + k] * scale;
+            }
+          } else if (msUsed && leftCb === NOISE_HCB && rightCb === NOISE_HCB) {
+            // Correlated noise: reuse the left noise vector at the right energy
+            let energy = 0;
+            for (let k = start; k < end; k++) energy += l[base + k] * l[base + k];
+            const scale = Math.pow(2, 0.25 * right.scaleFactors[g][sfb]) / Math.sqrt(energy);
+            for (let k = start; k < end; k++) {
+              r[base + k] = l[base + k] * scale;
+            }
+          } else if (msUsed && leftCb !== NOISE_HCB && rightCb !== NOISE_HCB) {
+            for (let k = start; k < end; k++) {
+              const mid = l[base + k];
+              const side = r[base + k];
+              l[base + k] = mid + side;
+              r[base + k] = mid - side;
+            }
+          }
+        }
+      }
+
+      groupWindow += info.windowGroupLength[g];
+    }
+  }
+
+  /**
+   * Apply temporal noise shaping filters to a decoded spectrum
+   * @private
+   */
+  _applyTns(ics) {
+    if (ics.tnsApplied) return;
+    ics.tnsApplied = true;
+    if (!ics.tns) return;
+
+    const { info, spectrum } = ics;
+    const windowLength = info.windowSequence === EIGHT_SHORT_SEQUENCE ? 128 : FRAME_LENGTH;
+    const maxBand = Math.min(info.tnsMaxBands, info.maxSfb);
+
+    for (let w = 0; w < ics.tns.length; w++) {
+      let top = info.numSwb;
+
+      for (const filter of ics.tns[w]) {
+        const bottom = Math.max(top - filter.length, 0);
+        const order = filter.order;
+
+        if (order) {
+          const start = info.swbOffset[Math.min(bottom, maxBand)];
+          const end = info.swbOffset[Math.min(top, maxBand)];
+          const size = end - start;
+
+          if (size > 0) {
+            const base = w * windowLength;
+            const step = filter.direction ? -1 : 1;
+            let pos = base + (filter.direction ? end - 1 : start);
+
+            // All-pole filter: y[n] = x[n] - lpc[1] * y[n-1] - ... - lpc[order] * y[n-order]
+            for (let n = 0; n < size; n++, pos += step) {
+              let value = spectrum[pos];
+              for (let i = 1; i <= Math.min(n, order); i++) {
+                value -= filter.lpc[i] * spectrum[pos - i * step];
+              }
+              spectrum[pos] = value;
+            }
+          }
+        }
+
+        top = bottom;
+      }
+    }
+  }
+
+  /**
+   * Filterbank: IMDCT, windowing and overlap-add for one channel
+   * @private
+   */
+  _synthesize(ics, channel) {
+    if (!this.channelStates[channel]) {
+      this.channelStates[channel] = { overlap: new Float32Array(FRAME_LENGTH), windowShape: 0 };
+    }
+    const state = this.channelStates[channel];
+
+    // Single-channel elements apply TNS here; pairs did it after joint stereo
+    this._applyTns(ics);
+
+    const { windowSequence, windowShape } = ics.info;
+    const previousLong = LONG_WINDOWS[state.windowShape];
+    const currentLong = LONG_WINDOWS[windowShape];
+    const previousShort = SHORT_WINDOWS[state.windowShape];
+    const currentShort = SHORT_WINDOWS[windowShape];
+    const buffer = this.imdctBuffer;
+
+    if (windowSequence === EIGHT_SHORT_SEQUENCE) {
+      buffer.fill(0);
+      const shortOut = this.shortBuffer;
+
+      for (let w = 0; w < 8; w++) {
+        imdctShort(ics.spectrum.subarray(w * 128, (w + 1) * 128), shortOut);
+        const rising = w === 0 ? previousShort : currentShort;
+        const offset = 448 + w * 128;
+        for (let n = 0; n < 128; n++) {
+          buffer[offset + n] += shortOut[n] * rising[n];
+          buffer[offset + 128 + n] += shortOut[128 + n] * currentShort[127 - n];
+        }
+      }
+    } else {
+      imdctLong(ics.spectrum, buffer);
+
+      // Left half
+      if (windowSequence === LONG_STOP_SEQUENCE) {
+        for (let n = 0; n < 448; n++) buffer[n] = 0;
+        for (let n = 0; n < 128; n++) buffer[448 + n] *= previousShort[n];
+      } else {
+        for (let n = 0; n < FRAME_LENGTH; n++) buffer[n] *= previousLong[n];
+      }
+
+      // Right half
+      if (windowSequence === LONG_START_SEQUENCE) {
+        for (let n = 0; n < 128; n++) buffer[1472 + n] *= currentShort[127 - n];
+        for (let n = 1600; n < 2048; n++) buffer[n] = 0;
+      } else {
+        for (let n = 0; n < FRAME_LENGTH; n++) buffer[FRAME_LENGTH + n] *= currentLong[1023 - n];
+      }
+    }
+
+    // Overlap-add and scale from 16-bit range to [-1, 1]
+    const pcm = new Float32Array(FRAME_LENGTH);
+    for (let n = 0; n < FRAME_LENGTH; n++) {
+      pcm[n] = (buffer[n] + state.overlap[n]) / 32768;
+    }
+    state.overlap.set(buffer.subarray(FRAME_LENGTH));
+    state.windowShape = windowShape;
+
+    return pcm;
+  }
+}
+
+/**
+ * Decode a sequence of AAC-LC access units to PCM
+ * @param {Uint8Array|Object} audioSpecificConfig - AudioSpecificConfig bytes (esds DecoderSpecificInfo) or parsed config
+ * @param {Array<Uint8Array>} samples - Raw access units in decode order
+ * @param {Object} [options]
+ * @param {number} [options.encoderDelaySamples=0] - Priming samples to drop from the start
+ * @param {number} [options.length] - Total number of samples to keep after the priming samples
+ * @returns {{ sampleRate: number, channels: Array<Float32Array> }} Per-channel PCM
+ */
+export function decodeAac(audioSpecificConfig, samples, options = {}) {
+  const { encoderDelaySamples = 0, length = null } = options;
+  const decoder = new AacDecoder(audioSpecificConfig);
+
+  const decodedLength = samples.length * FRAME_LENGTH;
+  const start = Math.min(encoderDelaySamples, decodedLength);
+  const outputLength = length === null
+    ? decodedLength - start
+    : Math.max(0, Math.min(length, decodedLength - start));
+
+  const channels = [];
+  let position = 0;
+
+  for (const sample of samples) {
+    const frame = decoder.decodeFrame(sample);
+
+    while (channels.length < frame.length) {
+      channels.push(new Float32Array(outputLength));
+    }
+
+    // Copy the part of this frame that falls inside [start, start + outputLength)
+    const from = Math.max(start - position, 0);
+    const to = Math.min(start + outputLength - position, FRAME_LENGTH);
+    if (to > from) {
+      for (let c = 0; c < frame.length; c++) {
+        channels[c].set(frame[c].subarray(from, to), position + from - start);
+      }
+    }
+
+    position += FRAME_LENGTH;
+  }
+
+  return { sampleRate: decoder.sampleRate, channels };
+}
+
+/**
+ * Decode an AAC-LC track of an M4A file to PCM
+ * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data (Uint8Array, ArrayBuffer, or Node.js Buffer)
+ * @param {number} trackIndex - Track index (0-based)
+ * @param {Object} [options]
+ * @param {number} [options.encoderDelaySamples] - Priming samples to drop (default: the track's
+ *   edit list media time, or kara `audio.encoder_delay_samples`; 0 keeps them)
+ * @returns {{ sampleRate: number, channels: Array<Float32Array> }} Per-channel PCM
+ */
+export function decodeAacTrack(data, trackIndex, options = {}) {
+  const { sampleEntry, sampleTable, samples, encoderDelay } = getTrackSamples(data, trackIndex);
+
+  if (sampleEntry.format !== 'mp4a' || !sampleEntry.esds?.decoderSpecificInfo) {
+    throw new Error(`Track ${trackIndex} is not an AAC track (format: ${sampleEntry.format})`);
+  }
+
+  // The stts total is the real (trimmed) length including priming samples
+  const totalSamples = sampleTable.sttsEntries.reduce(
+    (sum, entry) => sum + entry.sampleCount * entry.sampleDelta,
+    0
+  );
+  const timescaleRatio = sampleEntry.sampleRate && sampleTable.mdhd.timescale
+    ? sampleEntry.sampleRate / sampleTable.mdhd.timescale
+    : 1;
+  const encoderDelaySamples = options.encoderDelaySamples ?? Math.round(encoderDelay * timescaleRatio);
+
+  return decodeAac(sampleEntry.esds.decoderSpecificInfo, samples, {
+    encoderDelaySamples,
+    length: Math.max(0, Math.round(totalSamples * timescaleRatio) - encoderDelaySamples),
+  });
+}
+
+export default {
+  AacDecoder,
+  decodeAac,
+  decodeAacTrack,
+};
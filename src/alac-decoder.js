@@ -0,0 +1,485 @@
+/**
+ * ALAC Decoder
+ *
+ * Decode Apple Lossless access units to Float32 PCM in pure JS, so lossless
+ * stems can be used in Node.js or browsers without FFmpeg (several browsers'
+ * decodeAudioData rejects ALAC in MP4).
+ *
+ * Follows Apple's open-source reference decoder: adaptive Golomb entropy
+ * coding, an adaptive FIR predictor per channel and stereo unmixing.
+ */
+
+import { getTrackSamples, parseAlacCookie } from './extractor.js';
+
+// Syntactic element IDs
+const ID_SCE = 0;
+const ID_CPE = 1;
+const ID_LFE = 3;
+const ID_DSE = 4;
+const ID_FIL = 6;
+const ID_END = 7;
+
+// Adaptive Golomb parameters
+const QBSHIFT = 9;
+const QB = 1 << QBSHIFT;
+const MMULSHIFT = 2;
+const MDENSHIFT = QBSHIFT - MMULSHIFT - 1;
+const MOFF = 1 << (MDENSHIFT - 2);
+const BITOFF = 24;
+const MAX_PREFIX_16 = 9;
+const MAX_PREFIX_32 = 9;
+const MAX_DATATYPE_BITS_16 = 16;
+const N_MAX_MEAN_CLAMP = 0xffff;
+const N_MEAN_CLAMP_VAL = 0xffff;
+
+// Predictor mode that runs a first-order integrator before the FIR filter
+const NUM_ACTIVE_INTEGRATOR = 31;
+
+/**
+ * MSB-first bit reader over a Uint8Array
+ */
+class BitReader {
+  constructor(data) {
+    this.data = data;
+    this.pos = 0;
+    this.length = data.length * 8;
+  }
+
+  /**
+   * The next 32 bits (zero past the end) without advancing
+   */
+  peek32() {
+    const { data } = this;
+    const byte = this.pos >> 3;
+    const shift = this.pos & 7;
+    const word = ((data[byte] << 24) | (data[byte + 1] << 16) | (data[byte + 2] << 8) | data[byte + 3]) >>> 0;
+    if (shift === 0) return word;
+    return ((word << shift) | ((data[byte + 4] || 0) >>> (8 - shift))) >>> 0;
+  }
+
+  read(count) {
+    if (count === 0) return 0;
+    const value = this.peek32() >>> (32 - count);
+    this.pos += count;
+    return value;
+  }
+
+  readSigned(count) {
+    const value = this.read(count);
+    return (value << (32 - count)) >> (32 - count);
+  }
+
+  skip(count) {
+    this.pos += count;
+  }
+
+  byteAlign() {
+    this.pos = (this.pos + 7) & ~7;
+  }
+
+  bitsLeft() {
+    return this.length - this.pos;
+  }
+}
+
+/**
+ * Read an entropy-coded run length (up to 16 bits)
+ */
+function readRunLength(reader, m, k) {
+  const prefix = Math.clz32(~reader.peek32());
+
+  if (prefix >= MAX_PREFIX_16) {
+    reader.skip(MAX_PREFIX_16);
+    return reader.read(MAX_DATATYPE_BITS_16);
+  }
+
+  reader.skip(prefix + 1);
+  const value = reader.read(k);
+  if (value < 2) {
+    // Codes below 2 are one bit shorter
+    reader.skip(-1);
+    return prefix * m;
+  }
+  return prefix * m + value - 1;
+}
+
+/**
+ * Read an entropy-coded residual magnitude (up to `maxBits` bits)
+ */
+function readResidual(reader, m, k, maxBits) {
+  const prefix = Math.clz32(~reader.peek32());
+
+  if (prefix >= MAX_PREFIX_32) {
+    reader.skip(MAX_PREFIX_32);
+    return reader.read(maxBits);
+  }
+
+  reader.skip(prefix + 1);
+  if (k === 1) return prefix;
+
+  const value = reader.read(k);
+  if (value < 2) {
+    reader.skip(-1);
+    return prefix * m;
+  }
+  return prefix * m + value - 1;
+}
+
+/**
+ * Adaptive Golomb decode of one channel's prediction residuals
+ */
+function decodeResiduals(reader, out, numSamples, maxBits, { mb: mb0, pb, kb }) {
+  const wb = (1 << kb) - 1;
+  let mb = mb0;
+  let zmode = 0;
+  let c = 0;
+
+  while (c < numSamples) {
+    let k = Math.min(31 - Math.clz32((mb >>> QBSHIFT) + 3), kb);
+    const n = readResidual(reader, (1 << k) - 1, k, maxBits);
+
+    // The least significant bit is the sign
+    const value = (n + zmode) >>> 0;
+    const magnitude = ((value + 1) >>> 0) >>> 1;
+    out[c++] = (value & 1 ? -magnitude : magnitude) | 0;
+
+    mb = (Math.imul(pb, value) + mb - (Math.imul(pb, mb) >>> QBSHIFT)) >>> 0;
+    if (n > N_MAX_MEAN_CLAMP) mb = N_MEAN_CLAMP_VAL;
+
+    zmode = 0;
+    if ((mb << MMULSHIFT) >>> 0 < QB && c < numSamples) {
+      // Run of zeros
+      zmode = 1;
+      k = Math.clz32(mb) - BITOFF + ((mb + MOFF) >>> MDENSHIFT);
+      const run = readRunLength(reader, ((1 << k) - 1) & wb, k);
+      if (c + run > numSamples) {
+        throw new Error('ALAC zero run overflows the frame');
+      }
+      out.fill(0, c, c + run);
+      c += run;
+
+      if (run >= 65535) zmode = 0;
+      mb = 0;
+    }
+  }
+}
+
+/**
+ * Run the adaptive FIR predictor over the residuals in `pc1`, writing `out`
+ * `pc1` and `out` may be the same buffer only for NUM_ACTIVE_INTEGRATOR.
+ */
+function unpredict(pc1, out, num, coefs, numActive, chanBits, denShift) {
+  const chanShift = 32 - chanBits;
+  const denHalf = denShift > 0 ? 1 << (denShift - 1) : 0;
+
+  out[0] = pc1[0];
+  if (numActive === 0) {
+    if (pc1 !== out) out.set(pc1.subarray(1, num), 1);
+    return;
+  }
+
+  if (numActive === NUM_ACTIVE_INTEGRATOR) {
+    let previous = out[0];
+    for (let j = 1; j < num; j++) {
+      previous = ((pc1[j] + previous) << chanShift) >> chanShift;
+      out[j] = previous;
+    }
+    return;
+  }
+
+  // Warm-up: the first samples are plain first-order deltas
+  for (let j = 1; j <= numActive && j < num; j++) {
+    out[j] = ((pc1[j] + out[j - 1]) << chanShift) >> chanShift;
+  }
+
+  const lim = numActive + 1;
+  for (let j = lim; j < num; j++) {
+    const top = out[j - lim];
+    let sum = 0;
+    for (let k = 0; k < numActive; k++) {
+      sum = (sum + Math.imul(coefs[k], (out[j - 1 - k] - top) | 0)) | 0;
+    }
+
+    let del = pc1[j];
+    let del0 = del;
+    del = (del + top + (((sum + denHalf) | 0) >> denShift)) | 0;
+    out[j] = (del << chanShift) >> chanShift;
+
+    // Sign-sign LMS adaptation of the coefficients
+    if (del0 > 0) {
+      for (let k = numActive - 1; k >= 0; k--) {
+        const dd = (top - out[j - 1 - k]) | 0;
+        const sgn = Math.sign(dd);
+        coefs[k] -= sgn;
+        del0 -= (numActive - k) * ((sgn * dd) >> denShift);
+        if (del0 <= 0) break;
+      }
+    } else if (del0 < 0) {
+      for (let k = numActive - 1; k >= 0; k--) {
+        const dd = (top - out[j - 1 - k]) | 0;
+        const sgn = Math.sign(dd);
+        coefs[k] += sgn;
+        del0 -= (numActive - k) * ((-sgn * dd) >> denShift);
+        if (del0 >= 0) break;
+      }
+    }
+  }
+}
+
+/**
+ * ALAC frame decoder
+ *
+ * Frames are independent, so they can be decoded in any order.
+ */
+export class AlacDecoder {
+  /**
+   * @param {Uint8Array|Object} magicCookie - Magic cookie bytes or parsed config (e.g. getTrackInfo()[i].alac)
+   */
+  constructor(magicCookie) {
+    const config = magicCookie instanceof Uint8Array ? parseAlacCookie(magicCookie) : magicCookie;
+
+    if (config.compatibleVersion !== 0) {
+      throw new Error(`Unsupported ALAC version ${config.compatibleVersion}`);
+    }
+    if (![16, 20, 24, 32].includes(config.bitDepth)) {
+      throw new Error(`Unsupported ALAC bit depth ${config.bitDepth}`);
+    }
+    if (!(config.frameLength > 0) || !(config.channels > 0)) {
+      throw new Error('Invalid ALAC magic cookie');
+    }
+
+    this.config = config;
+    this.sampleRate = config.sampleRate;
+    this.predictor = new Int32Array(config.frameLength);
+    this.mixBuffers = [new Int32Array(config.frameLength), new Int32Array(config.frameLength)];
+    this.shiftBuffer = new Uint16Array(config.frameLength * 2);
+  }
+
+  /**
+   * Decode one ALAC packet
+   * @param {Uint8Array} frame - Packet (as stored in an MP4 sample)
+   * @returns {Array<Float32Array>} Samples per output channel (frameLength, or fewer for a partial frame)
+   */
+  decodeFrame(frame) {
+    const reader = new BitReader(frame);
+    const output = [];
+
+    for (;;) {
+      if (reader.bitsLeft() < 3) break;
+      const id = reader.read(3);
+      if (id === ID_END) break;
+
+      switch (id) {
+        case ID_SCE:
+        case ID_LFE:
+          output.push(...this._decodeElement(reader, 1));
+          break;
+        case ID_CPE:
+          output.push(...this._decodeElement(reader, 2));
+          break;
+        case ID_DSE: {
+          reader.skip(4); // element_instance_tag
+          const byteAlign = reader.read(1);
+          let count = reader.read(8);
+          if (count === 255) count += reader.read(8);
+          if (byteAlign) reader.byteAlign();
+          reader.skip(count * 8);
+          break;
+        }
+        case ID_FIL: {
+          let count = reader.read(4);
+          if (count === 15) count += reader.read(8) - 1;
+          reader.skip(count * 8);
+          break;
+        }
+        default:
+          throw new Error(`Unsupported ALAC element ${id}`);
+      }
+
+      if (output.length > this.config.channels) {
+        throw new Error(`ALAC frame has more than ${this.config.channels} channels`);
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * Decode a single (SCE/LFE) or channel pair (CPE) element
+   */
+  _decodeElement(reader, channelCount) {
+    const { bitDepth, frameLength } = this.config;
+
+    reader.skip(4); // element_instance_tag
+    if (reader.read(12) !== 0) {
+      throw new Error('Invalid ALAC element header');
+    }
+
+    const header = reader.read(4);
+    const partialFrame = header >> 3;
+    let bytesShifted = (header >> 1) & 3;
+    const escapeFlag = header & 1;
+    if (bytesShifted === 3) {
+      throw new Error('Invalid ALAC shift');
+    }
+
+    const numSamples = partialFrame ? reader.read(32) : frameLength;
+    if (numSamples > frameLength) {
+      throw new Error(`ALAC frame of ${numSamples} samples exceeds the frame length ${frameLength}`);
+    }
+
+    const mix = this.mixBuffers;
+    let mixBits = 0;
+    let mixRes = 0;
+
+    if (!escapeFlag) {
+      // Compressed: the side channel of a pair carries one extra bit
+      const chanBits = bitDepth - bytesShifted * 8 + channelCount - 1;
+      if (channelCount === 2) {
+        mixBits = reader.read(8);
+        mixRes = reader.readSigned(8);
+      }
+
+      const channels = [];
+      for (let c = 0; c < channelCount; c++) {
+        const modeHeader = reader.read(8);
+        const coefHeader = reader.read(8);
+        const coefs = new Int16Array(32);
+        const numCoefs = coefHeader & 0x1f;
+        for (let i = 0; i < numCoefs; i++) {
+          coefs[i] = reader.readSigned(16);
+        }
+        channels.push({
+          mode: modeHeader >> 4,
+          denShift: modeHeader & 0xf,
+          pbFactor: coefHeader >> 5,
+          numCoefs,
+          coefs,
+        });
+      }
+
+      // The low bytes of each sample are stored raw ahead of the entropy-coded data
+      let shiftReader = null;
+      if (bytesShifted) {
+        shiftReader = new BitReader(reader.data);
+        shiftReader.pos = reader.pos;
+        reader.skip(bytesShifted * 8 * channelCount * numSamples);
+      }
+
+      channels.forEach((channel, c) => {
+        decodeResiduals(reader, this.predictor, numSamples, chanBits, {
+          mb: this.config.mb,
+          pb: (this.config.pb * channel.pbFactor) >> 2,
+          kb: this.config.kb,
+        });
+
+        if (channel.mode === 0) {
+          unpredict(this.predictor, mix[c], numSamples, channel.coefs, channel.numCoefs, chanBits, channel.denShift);
+        } else {
+          unpredict(this.predictor, this.predictor, numSamples, null, NUM_ACTIVE_INTEGRATOR, chanBits, 0);
+          unpredict(this.predictor, mix[c], numSamples, channel.coefs, channel.numCoefs, chanBits, channel.denShift);
+        }
+      });
+
+      if (shiftReader) {
+        for (let i = 0; i < numSamples * channelCount; i++) {
+          this.shiftBuffer[i] = shiftReader.read(bytesShifted * 8);
+        }
+      }
+    } else {
+      // Escape: uncompressed samples, interleaved
+      for (let i = 0; i < numSamples; i++) {
+        for (let c = 0; c < channelCount; c++) {
+          mix[c][i] = reader.readSigned(bitDepth);
+        }
+      }
+      bytesShifted = 0;
+    }
+
+    // Unmix the pair and restore the shifted-out low bytes
+    const shift = bytesShifted * 8;
+    const scale = 1 / 2 ** (bitDepth - 1);
+    const output = Array.from({ length: channelCount }, () => new Float32Array(numSamples));
+
+    for (let i = 0; i < numSamples; i++) {
+      let left = mix[0][i];
+      if (channelCount === 2) {
+        let right = mix[1][i];
+        if (mixRes !== 0) {
+          left = (left + right - (Math.imul(mixRes, right) >> mixBits)) | 0;
+          right = (left - right) | 0;
+        }
+        if (shift) right = (right << shift) | this.shiftBuffer[i * 2 + 1];
+        output[1][i] = right * scale;
+      }
+      if (shift) left = (left << shift) | this.shiftBuffer[i * channelCount];
+      output[0][i] = left * scale;
+    }
+
+    return output;
+  }
+}
+
+/**
+ * Decode a sequence of ALAC packets to PCM
+ * @param {Uint8Array|Object} magicCookie - Magic cookie bytes or parsed config
+ * @param {Array<Uint8Array>} samples - Raw packets in decode order
+ * @param {Object} [options]
+ * @param {number} [options.length] - Total number of samples to keep
+ * @returns {{ sampleRate: number, channels: Array<Float32Array> }} Per-channel PCM
+ */
+export function decodeAlac(magicCookie, samples, options = {}) {
+  const { length = null } = options;
+  const decoder = new AlacDecoder(magicCookie);
+
+  const frames = samples.map((sample) => decoder.decodeFrame(sample));
+  const decodedLength = frames.reduce((sum, frame) => sum + (frame[0] ? frame[0].length : 0), 0);
+  const outputLength = length === null ? decodedLength : Math.max(0, Math.min(length, decodedLength));
+
+  const channels = Array.from({ length: decoder.config.channels }, () => new Float32Array(outputLength));
+  let position = 0;
+
+  for (const frame of frames) {
+    const count = Math.min(frame[0] ? frame[0].length : 0, outputLength - position);
+    if (count <= 0) break;
+    for (let c = 0; c < Math.min(frame.length, channels.length); c++) {
+      channels[c].set(frame[c].subarray(0, count), position);
+    }
+    position += count;
+  }
+
+  return { sampleRate: decoder.sampleRate, channels };
+}
+
+/**
+ * Decode an ALAC track of an M4A file to PCM
+ * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data (Uint8Array, ArrayBuffer, or Node.js Buffer)
+ * @param {number} trackIndex - Track index (0-based)
+ * @returns {{ sampleRate: number, channels: Array<Float32Array> }} Per-channel PCM
+ */
+export function decodeAlacTrack(data, trackIndex) {
+  const { sampleEntry, sampleTable, samples } = getTrackSamples(data, trackIndex);
+
+  if (sampleEntry.format !== 'alac' || !sampleEntry.alac) {
+    throw new Error(`Track ${trackIndex} is not an ALAC track (format: ${sampleEntry.format})`);
+  }
+
+  // The stts total is the real length of the track
+  const totalSamples = sampleTable.sttsEntries.reduce(
+    (sum, entry) => sum + entry.sampleCount * entry.sampleDelta,
+    0
+  );
+  const timescaleRatio = sampleEntry.sampleRate && sampleTable.mdhd.timescale
+    ? sampleEntry.sampleRate / sampleTable.mdhd.timescale
+    : 1;
+
+  return decodeAlac(sampleEntry.alac, samples, {
+    length: Math.round(totalSamples * timescaleRatio),
+  });
+}
+
+export default {
+  AlacDecoder,
+  decodeAlac,
+  decodeAlacTrack,
+};
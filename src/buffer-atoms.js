@@ -0,0 +1,1435 @@
+/**
+ * Isomorphic Atom Handling
+ * Buffer-in/buffer-out variants of the atoms.js readers and writers
+ *
+ * Works on Uint8Array data with no Node.js built-ins (like extractor.js), so a
+ * browser can read and edit kara, stem, vpch, kons, key, standard tags, track
+ * number and cover art in a downloaded file and save the result. Writers never
+ * modify their input; they return the new file.
+ */
+
+import * as Extractor from './extractor.js';
+
+// Keys accepted by edit()
+const EDIT_KEYS = ['kara', 'stems', 'metadata', 'key', 'track', 'vpch', 'kons', 'coverArt', 'tracks', 'defaultTrack'];
+
+// tkhd flag bits, by their track change key
+const TKHD_FLAGS = { enabled: 0x1, inMovie: 0x2, inPreview: 0x4 };
+
+// NI Stems mastering DSP parameter ranges, from the NI Stems JSON schema
+const NI_STEMS_DSP_SCHEMA = {
+  compressor: {
+    enabled: { type: 'boolean' },
+    input_gain: { min: 0, max: 1 },
+    output_gain: { min: 0, max: 1 },
+    threshold: { min: -40, max: 0 },
+    dry_wet: { min: 0, max: 100, integer: true },
+    attack: { min: 0.0001, max: 0.03 },
+    release: { min: 0.3, max: 3 },
+    ratio: { min: 1, max: 1000 },
+    hp_cutoff: { min: 300, max: 500, integer: true },
+  },
+  limiter: {
+    enabled: { type: 'boolean' },
+    threshold: { min: -12, max: 0 },
+    ceiling: { min: -30, max: 0 },
+    release: { min: 0.01, max: 1 },
+  },
+};
+
+const NI_STEMS_DSP_DEFAULTS = {
+  compressor: {
+    enabled: true,
+    input_gain: 0.0,
+    output_gain: 0.0,
+    threshold: -6.0,
+    dry_wet: 100,
+    attack: 0.003,
+    release: 0.3,
+    ratio: 2.0,
+    hp_cutoff: 300,
+  },
+  limiter: {
+    enabled: true,
+    threshold: -0.3,
+    ceiling: -0.3,
+    release: 0.05,
+  },
+};
+
+const NI_STEMS_DEFAULT_NAMES = ['Drums', 'Bass', 'Other', 'Vocals'];
+
+// Stem colors by role (lowercase name), falling back to the palette by position
+const NI_STEMS_ROLE_COLORS = {
+  drums: '#009E73',
+  bass: '#D55E00',
+  other: '#CC79A7',
+  melody: '#CC79A7',
+  music: '#CC79A7',
+  vocals: '#56B4E9',
+  vox: '#56B4E9',
+};
+const NI_STEMS_PALETTE = ['#009E73', '#D55E00', '#CC79A7', '#56B4E9'];
+
+/**
+ * iTunes tags: metadata field ↔ ilst item. readStandardMetadata() and
+ * addStandardMetadata() both go through this table, so every field round-trips.
+ * `atom` is the item type, or `----:namespace:name` for freeform items; `kind`
+ * selects the value encoding (see TAG_CODECS).
+ */
+export const ITUNES_TAGS = [
+  { key: 'title', atom: '©nam', kind: 'text' },
+  { key: 'artist', atom: '©ART', kind: 'text' },
+  { key: 'album', atom: '©alb', kind: 'text' },
+  { key: 'albumArtist', atom: 'aART', kind: 'text' },
+  { key: 'composer', atom: '©wrt', kind: 'text' },
+  { key: 'comment', atom: '©cmt', kind: 'text' },
+  { key: 'year', atom: '©day', kind: 'text' },
+  { key: 'genre', atom: '©gen', kind: 'text' },
+  { key: 'grouping', atom: '©grp', kind: 'text' },
+  { key: 'copyright', atom: 'cprt', kind: 'text' },
+  { key: 'tempo', atom: 'tmpo', kind: 'integer' },
+  { key: 'disc', atom: 'disk', kind: 'part' },
+  { key: 'compilation', atom: 'cpil', kind: 'boolean' },
+  { key: 'rating', atom: 'rate', kind: 'rating' },
+  { key: 'titleSort', atom: 'sonm', kind: 'text' },
+  { key: 'artistSort', atom: 'soar', kind: 'text' },
+  { key: 'albumSort', atom: 'soal', kind: 'text' },
+  { key: 'albumArtistSort', atom: 'soaa', kind: 'text' },
+  { key: 'composerSort', atom: 'soco', kind: 'text' },
+  { key: 'isrc', atom: '----:com.apple.iTunes:ISRC', kind: 'text' },
+  { key: 'musicbrainzTrackId', atom: '----:com.apple.iTunes:MusicBrainz Track Id', kind: 'text' },
+  { key: 'musicbrainzReleaseTrackId', atom: '----:com.apple.iTunes:MusicBrainz Release Track Id', kind: 'text' },
+  { key: 'musicbrainzAlbumId', atom: '----:com.apple.iTunes:MusicBrainz Album Id', kind: 'text' },
+  { key: 'musicbrainzArtistId', atom: '----:com.apple.iTunes:MusicBrainz Artist Id', kind: 'text' },
+  { key: 'musicbrainzAlbumArtistId', atom: '----:com.apple.iTunes:MusicBrainz Album Artist Id', kind: 'text' },
+  { key: 'musicbrainzReleaseGroupId', atom: '----:com.apple.iTunes:MusicBrainz Release Group Id', kind: 'text' },
+  { key: 'musicbrainzWorkId', atom: '----:com.apple.iTunes:MusicBrainz Work Id', kind: 'text' },
+];
+
+// Bytes of `free` padding reserved in moov/udta/meta when a file has to be rewritten
+const DEFAULT_PADDING = 4096;
+
+// covr data atom type codes
+const COVR_TYPES = { jpeg: 13, png: 14, bmp: 27 };
+
+// meta handler: hdlr with handler type 'mdir' and reserved 'appl'
+const META_HDLR_DATA = new Uint8Array([
+  0x00, 0x00, 0x00, 0x00, // Version/flags
+  0x00, 0x00, 0x00, 0x00, // Pre-defined
+  0x6d, 0x64, 0x69, 0x72, // Handler type: 'mdir'
+  0x61, 0x70, 0x70, 0x6c, // Reserved: 'appl'
+  0x00, 0x00, 0x00, 0x00, // Reserved
+  0x00, 0x00, 0x00, 0x00, // Reserved
+  0x00, // Name (empty)
+]);
+
+/**
+ * Helper: Read big-endian uint32 from Uint8Array
+ */
+function readUInt32BE(data, offset) {
+  return (
+    ((data[offset] << 24) >>> 0) +
+    (data[offset + 1] << 16) +
+    (data[offset + 2] << 8) +
+    data[offset + 3]
+  );
+}
+
+/**
+ * Helper: Read big-endian uint64 from Uint8Array (as Number)
+ */
+function readBigUInt64BE(data, offset) {
+  return readUInt32BE(data, offset) * 0x100000000 + readUInt32BE(data, offset + 4);
+}
+
+/**
+ * Helper: Read big-endian uint16 from Uint8Array
+ */
+function readUInt16BE(data, offset) {
+  return (data[offset] << 8) | data[offset + 1];
+}
+
+/**
+ * Helper: Read latin1 string from Uint8Array
+ * MP4 atom types use byte 0xA9 for ©, so types are latin1 rather than UTF-8.
+ */
+function readString(data, offset, length) {
+  let str = '';
+  for (let i = 0; i < length; i++) {
+    str += String.fromCharCode(data[offset + i]);
+  }
+  return str;
+}
+
+/**
+ * Helper: Write big-endian uint32 to Uint8Array
+ */
+function writeUInt32BE(data, value, offset) {
+  data[offset] = (value >>> 24) & 0xff;
+  data[offset + 1] = (value >>> 16) & 0xff;
+  data[offset + 2] = (value >>> 8) & 0xff;
+  data[offset + 3] = value & 0xff;
+}
+
+/**
+ * Helper: Write big-endian uint64 (from a Number) to Uint8Array
+ */
+function writeBigUInt64BE(data, value, offset) {
+  writeUInt32BE(data, Math.floor(value / 0x100000000), offset);
+  writeUInt32BE(data, value % 0x100000000, offset + 4);
+}
+
+/**
+ * Helper: Write big-endian uint16 to Uint8Array
+ */
+function writeUInt16BE(data, value, offset) {
+  data[offset] = (value >>> 8) & 0xff;
+  data[offset + 1] = value & 0xff;
+}
+
+/**
+ * Helper: Concatenate Uint8Arrays
+ */
+function concatArrays(...arrays) {
+  const totalLength = arrays.reduce((sum, arr) => sum + arr.length, 0);
+  const result = new Uint8Array(totalLength);
+  let offset = 0;
+  for (const arr of arrays) {
+    result.set(arr, offset);
+    offset += arr.length;
+  }
+  return result;
+}
+
+/**
+ * Normalize input to a Uint8Array view (no copy)
+ */
+function toUint8Array(data) {
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  if (data && data.buffer instanceof ArrayBuffer) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  throw new Error('Expected Uint8Array, ArrayBuffer, or Node.js Buffer');
+}
+
+/**
+ * Create an MP4 atom with type and data
+ */
+function createAtom(type, data) {
+  const atom = new Uint8Array(8 + data.length);
+  writeUInt32BE(atom, atom.length, 0);
+  for (let i = 0; i < 4; i++) {
+    atom[4 + i] = type.charCodeAt(i);
+  }
+  atom.set(data, 8);
+  return atom;
+}
+
+/**
+ * Parse MP4 atoms from buffer
+ * Handles 64-bit sizes (size == 1) and atoms that run to the end (size == 0).
+ */
+function parseAtoms(buffer, offset = 0, maxLength = null) {
+  const atoms = [];
+  const endOffset = maxLength !== null ? offset + maxLength : buffer.length;
+  let pos = offset;
+
+  while (pos <= endOffset - 8) {
+    let size = readUInt32BE(buffer, pos);
+    const type = readString(buffer, pos + 4, 4);
+    let headerSize = 8;
+
+    if (size === 1) {
+      if (pos + 16 > endOffset) break;
+      size = readBigUInt64BE(buffer, pos + 8);
+      headerSize = 16;
+    } else if (size === 0) {
+      size = endOffset - pos;
+    }
+
+    if (size < headerSize || size > buffer.length - pos) {
+      break;
+    }
+
+    atoms.push({ type, offset: pos, size, dataOffset: pos + headerSize });
+    pos += size;
+  }
+
+  return atoms;
+}
+
+/**
+ * Parse the children of a container atom
+ * `skip` covers version/flags that precede the children (e.g. 4 for meta).
+ */
+function parseChildAtoms(buffer, atom, skip = 0) {
+  const start = atom.dataOffset + skip;
+  return parseAtoms(buffer, start, atom.offset + atom.size - start);
+}
+
+/**
+ * Bytes of an atom (header included)
+ */
+function atomBytes(buffer, atom) {
+  return buffer.subarray(atom.offset, atom.offset + atom.size);
+}
+
+// ============================================================================
+// Reading
+// ============================================================================
+
+/**
+ * Find moov/udta
+ */
+function findUdta(buffer) {
+  const moov = parseAtoms(buffer).find((a) => a.type === 'moov');
+  if (!moov) return null;
+  return parseChildAtoms(buffer, moov).find((a) => a.type === 'udta') || null;
+}
+
+/**
+ * Children of moov/udta/meta/ilst (empty if missing)
+ */
+function findIlstItems(buffer) {
+  const udta = findUdta(buffer);
+  const meta = udta && parseChildAtoms(buffer, udta).find((a) => a.type === 'meta');
+  // meta has 4 bytes of version/flags before its children
+  const ilst = meta && parseChildAtoms(buffer, meta, 4).find((a) => a.type === 'ilst');
+  return ilst ? parseChildAtoms(buffer, ilst) : [];
+}
+
+/**
+ * Read the data atoms of an ilst item
+ * @returns {Array<{typeCode: number, payload: Uint8Array}>}
+ */
+function readItemData(buffer, item) {
+  return parseChildAtoms(buffer, item)
+    .filter((a) => a.type === 'data')
+    .map((a) => ({
+      // data atom: [type 4][locale 4][payload]
+      typeCode: readUInt32BE(buffer, a.dataOffset),
+      payload: buffer.subarray(a.dataOffset + 8, a.offset + a.size),
+    }));
+}
+
+/**
+ * Namespace and name of a freeform (----) item, as `----:namespace:name`
+ */
+function readFreeformKey(buffer, item) {
+  const children = parseChildAtoms(buffer, item);
+  const mean = children.find((a) => a.type === 'mean');
+  const name = children.find((a) => a.type === 'name');
+  if (!mean || !name) return null;
+
+  // mean/name: [version/flags 4][text]
+  const decoder = new TextDecoder();
+  const namespace = decoder.decode(buffer.subarray(mean.dataOffset + 4, mean.offset + mean.size));
+  return `----:${namespace}:${decoder.decode(buffer.subarray(name.dataOffset + 4, name.offset + name.size))}`;
+}
+
+/**
+ * Payload of the first data atom of an ilst item, by type or `----:namespace:name`
+ * @returns {Uint8Array|null}
+ */
+function readItemPayload(buffer, key) {
+  const item = findIlstItems(buffer).find((a) =>
+    key.startsWith('----:') ? a.type === '----' && readFreeformKey(buffer, a) === key : a.type === key
+  );
+  if (!item) return null;
+
+  const [data] = readItemData(buffer, item);
+  return data ? data.payload : null;
+}
+
+/**
+ * Read the kara (Karaoke Data) atom
+ * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data
+ * @returns {Object|null} Parsed kara data or null if not found
+ */
+export function readKaraAtom(data) {
+  const payload = readItemPayload(toUint8Array(data), '----:com.stems:kara');
+  if (!payload) return null;
+
+  try {
+    return JSON.parse(new TextDecoder().decode(payload));
+  } catch (parseErr) {
+    throw new Error(`Failed to parse kara atom: ${parseErr.message}`);
+  }
+}
+
+/**
+ * Read NI Stems metadata from the moov/udta/stem atom
+ *
+ * The stored JSON is normalized (missing mastering DSP parameters take their
+ * defaults) and checked against the NI Stems schema; problems, including JSON
+ * that does not parse, are listed in `errors` rather than thrown, so files
+ * written by other tools can be inspected.
+ *
+ * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data
+ * @returns {{version: number, mastering_dsp: Object, stems: Array<{name: string, color: string}>, errors: Array<{path: string, message: string}>}|null}
+ *   Stems metadata or null if not found
+ */
+export function readNiStemsMetadata(data) {
+  const buffer = toUint8Array(data);
+  const udta = findUdta(buffer);
+  const stem = udta && parseChildAtoms(buffer, udta).find((a) => a.type === 'stem');
+  if (!stem) return null;
+
+  // Unparseable JSON reads as the defaults, with the parse error listed first
+  let stored = {};
+  const errors = [];
+  try {
+    stored = JSON.parse(new TextDecoder().decode(buffer.subarray(stem.dataOffset, stem.offset + stem.size)));
+  } catch (e) {
+    errors.push({ path: 'stem', message: `stem is not valid JSON (${e.message})` });
+  }
+
+  const metadata = normalizeNiStemsMetadata(stored && typeof stored === 'object' ? stored : {});
+  errors.push(...validateNiStemsMetadata(metadata, countStemTracks(buffer)));
+  return { ...metadata, errors };
+}
+
+/**
+ * Read the vpch (Vocal Pitch) atom
+ * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data
+ * @returns {Object|null} { sampleRate, data: [{ midi, cents }] } or null if not found
+ */
+export function readVpchAtom(data) {
+  const payload = readItemPayload(toUint8Array(data), '----:com.stems:vpch');
+  if (!payload || payload.length < 9) return null;
+
+  // [version 1][sample rate 4][length 4][midi 1, cents 1]...
+  const sampleRate = readUInt32BE(payload, 1);
+  const dataLength = Math.min(readUInt32BE(payload, 5), (payload.length - 9) >> 1);
+  const samples = [];
+  for (let i = 0; i < dataLength; i++) {
+    const cents = payload[10 + i * 2];
+    samples.push({ midi: payload[9 + i * 2], cents: cents > 127 ? cents - 256 : cents });
+  }
+
+  return { sampleRate, data: samples };
+}
+
+/**
+ * Read the kons (Karaoke Onsets) atom
+ * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data
+ * @returns {Array<number>|null} Onset times in seconds or null if not found
+ */
+export function readKonsAtom(data) {
+  const payload = readItemPayload(toUint8Array(data), '----:com.stems:kons');
+  if (!payload || payload.length < 5) return null;
+
+  // [version 1][length 4][time in ms 4]...
+  const dataLength = Math.min(readUInt32BE(payload, 1), (payload.length - 5) >> 2);
+  const onsets = [];
+  for (let i = 0; i < dataLength; i++) {
+    onsets.push(readUInt32BE(payload, 5 + i * 4) / 1000);
+  }
+
+  return onsets;
+}
+
+/**
+ * Read the musical key (----:com.apple.iTunes:initialkey)
+ * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data
+ * @returns {string|null} Musical key or null if not found
+ */
+export function readMusicalKey(data) {
+  const payload = readItemPayload(toUint8Array(data), '----:com.apple.iTunes:initialkey');
+  return payload ? new TextDecoder().decode(payload) : null;
+}
+
+/**
+ * Format a rejected tag value for an error message (JSON.stringify turns NaN into null)
+ */
+function describeValue(value) {
+  return typeof value === 'number' ? String(value) : JSON.stringify(value);
+}
+
+/**
+ * Value encodings of the ITUNES_TAGS kinds: the data atom type code, and the
+ * payload encoder (throws on invalid values) and decoder (null if unreadable)
+ */
+const TAG_CODECS = {
+  text: {
+    typeCode: 1,
+    encode: (value) => new TextEncoder().encode(String(value)),
+    decode: (payload) => new TextDecoder().decode(payload),
+  },
+  // Big-endian integer, written as 2 bytes (data type 21)
+  integer: {
+    typeCode: 21,
+    encode: (value, key) => {
+      if (!Number.isInteger(value) || value < 0 || value > 0xffff) {
+        throw new Error(`${key} must be an integer from 0 to 65535 (got ${describeValue(value)})`);
+      }
+      const payload = new Uint8Array(2);
+      writeUInt16BE(payload, value, 0);
+      return payload;
+    },
+    decode: (payload) => (payload.length > 0 ? payload.reduce((value, byte) => value * 256 + byte, 0) : null),
+  },
+  // Part of a set, as trkn: [reserved 2][number 2][total 2]
+  part: {
+    typeCode: 0,
+    encode: (value, key) => {
+      const part = parseTrackNumber(value);
+      if (!part || ![part.no, part.of].every((n) => Number.isInteger(n) && n >= 0 && n <= 0xffff)) {
+        throw new Error(`${key} must be a number or { no, of } (got ${describeValue(value)})`);
+      }
+      const payload = new Uint8Array(6);
+      writeUInt16BE(payload, part.no, 2);
+      writeUInt16BE(payload, part.of, 4);
+      return payload;
+    },
+    decode: (payload) => (payload.length >= 6 ? { no: readUInt16BE(payload, 2), of: readUInt16BE(payload, 4) } : null),
+  },
+  // One-byte flag (data type 21)
+  boolean: {
+    typeCode: 21,
+    encode: (value, key) => {
+      if (typeof value !== 'boolean') {
+        throw new Error(`${key} must be true or false (got ${describeValue(value)})`);
+      }
+      return new Uint8Array([value ? 1 : 0]);
+    },
+    decode: (payload) => (payload.length > 0 ? payload[0] !== 0 : null),
+  },
+  // 0-100, stored as text (as music-metadata and Picard read `rate`)
+  rating: {
+    typeCode: 1,
+    encode: (value, key) => {
+      if (!Number.isInteger(value) || value < 0 || value > 100) {
+        throw new Error(`${key} must be an integer from 0 to 100 (got ${describeValue(value)})`);
+      }
+      return new TextEncoder().encode(String(value));
+    },
+    decode: (payload) => {
+      const rating = Number(new TextDecoder().decode(payload));
+      return Number.isFinite(rating) ? rating : null;
+    },
+  },
+};
+
+/**
+ * Read the iTunes tags listed in ITUNES_TAGS (title, artist, album, tempo, disc, ...)
+ * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data
+ * @returns {Object} Fields that are present in the file
+ */
+export function readStandardMetadata(data) {
+  const buffer = toUint8Array(data);
+  const metadata = {};
+
+  for (const { key, atom, kind } of ITUNES_TAGS) {
+    const payload = readItemPayload(buffer, atom);
+    const value = payload && TAG_CODECS[kind].decode(payload);
+    if (value !== null) metadata[key] = value;
+  }
+
+  return metadata;
+}
+
+/**
+ * Read the track number (trkn)
+ * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data
+ * @returns {{no: number, of: number}|null} Track number or null if not found
+ */
+export function readTrackNumber(data) {
+  const payload = readItemPayload(toUint8Array(data), 'trkn');
+  if (!payload || payload.length < 6) return null;
+
+  // [reserved 2][track number 2][total tracks 2][reserved 2]
+  return { no: readUInt16BE(payload, 2), of: readUInt16BE(payload, 4) };
+}
+
+/**
+ * Detect the image format of cover art bytes
+ * @returns {string|null} 'jpeg', 'png', 'bmp' or null
+ */
+function detectImageFormat(data) {
+  if (data.length >= 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) return 'jpeg';
+  if (data.length >= 8 && readUInt32BE(data, 0) === 0x89504e47 && readUInt32BE(data, 4) === 0x0d0a1a0a) return 'png';
+  if (data.length >= 2 && data[0] === 0x42 && data[1] === 0x4d) return 'bmp';
+  return null;
+}
+
+/**
+ * Read cover art
+ * Returns the iTunes `covr` images first, then the frame of an attached-picture
+ * video track (a single-sample video track holding a JPEG/PNG) if there is one.
+ * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data
+ * @returns {Array<{data: Uint8Array, format: string, source: string, trackIndex?: number}>} Artwork images (empty if none)
+ */
+export function readCoverArt(data) {
+  const buffer = toUint8Array(data);
+  const images = [];
+
+  // iTunes covr atom: one data child per image
+  const covr = findIlstItems(buffer).find((a) => a.type === 'covr');
+  if (covr) {
+    for (const { typeCode, payload } of readItemData(buffer, covr)) {
+      const format =
+        detectImageFormat(payload) || Object.keys(COVR_TYPES).find((key) => COVR_TYPES[key] === typeCode) || null;
+      images.push({ data: payload, format, source: 'covr' });
+    }
+  }
+
+  // Attached picture stored as a one-frame video track
+  for (const track of Extractor.getTrackInfo(buffer)) {
+    if (track.type !== 'video' || track.sampleCount !== 1) continue;
+
+    const [frame] = Extractor.getTrackSamples(buffer, track.index).samples;
+    const format = detectImageFormat(frame);
+    if (format) {
+      images.push({ data: frame, format, source: 'track', trackIndex: track.index });
+    }
+  }
+
+  return images;
+}
+
+// ============================================================================
+// Atom builders
+// ============================================================================
+
+/**
+ * Create an ilst item holding one data atom
+ * @param {string} type - Item type (e.g. '©nam', 'trkn')
+ * @param {number} typeCode - data type (0 = binary, 1 = UTF-8, 21 = integer, ...)
+ * @param {Uint8Array} payload - Value bytes
+ */
+function createDataItem(type, typeCode, payload) {
+  // data atom: [type 4][locale 4][payload]
+  const dataHeader = new Uint8Array(8);
+  writeUInt32BE(dataHeader, typeCode, 0);
+  return createAtom(type, createAtom('data', concatArrays(dataHeader, payload)));
+}
+
+/**
+ * Create a freeform (----) item: [mean][name][data]
+ * @param {string} namespace - Namespace (e.g., 'com.stems')
+ * @param {string} name - Atom name (e.g., 'kara', 'vpch')
+ * @param {number} typeCode - data type (0 = binary, 1 = UTF-8)
+ * @param {Uint8Array} payload - Value bytes
+ */
+function createFreeformItem(namespace, name, typeCode, payload) {
+  const encoder = new TextEncoder();
+  const versioned = (text) => concatArrays(new Uint8Array(4), encoder.encode(text));
+
+  const dataHeader = new Uint8Array(8);
+  writeUInt32BE(dataHeader, typeCode, 0);
+
+  return createAtom('----', concatArrays(
+    createAtom('mean', versioned(namespace)),
+    createAtom('name', versioned(name)),
+    createAtom('data', concatArrays(dataHeader, payload))
+  ));
+}
+
+/**
+ * Create the kara (Karaoke Data) item
+ */
+function createKaraAtom(karaData) {
+  return createFreeformItem('com.stems', 'kara', 1, new TextEncoder().encode(JSON.stringify(karaData)));
+}
+
+/**
+ * Create the vpch (Vocal Pitch) item
+ * @param {Object} pitchData - Pitch data object with sampleRate and data array
+ */
+function createVpchAtom(pitchData) {
+  if (!pitchData || !pitchData.data || !Array.isArray(pitchData.data)) {
+    throw new Error('Invalid pitch data: must have sampleRate and data array');
+  }
+
+  // [version 1][sample rate 4][length 4][midi 1, cents 1]...
+  const dataLength = pitchData.data.length;
+  const binaryData = new Uint8Array(9 + dataLength * 2);
+  binaryData[0] = 1;
+  writeUInt32BE(binaryData, pitchData.sampleRate || 25, 1);
+  writeUInt32BE(binaryData, dataLength, 5);
+
+  let offset = 9;
+  for (const sample of pitchData.data) {
+    const midi = Math.max(0, Math.min(127, sample.midi || 0));
+    const cents = Math.max(-50, Math.min(50, sample.cents || 0));
+
+    binaryData[offset] = midi;
+    binaryData[offset + 1] = cents & 0xff;
+    offset += 2;
+  }
+
+  return createFreeformItem('com.stems', 'vpch', 0, binaryData);
+}
+
+/**
+ * Create the kons (Karaoke Onsets) item
+ * @param {Array<number>} onsetsData - Array of onset times in seconds
+ */
+function createKonsAtom(onsetsData) {
+  if (!onsetsData || !Array.isArray(onsetsData)) {
+    throw new Error('Invalid onsets data: must be array of times in seconds');
+  }
+
+  // [version 1][length 4][time in ms 4]...
+  const binaryData = new Uint8Array(5 + onsetsData.length * 4);
+  binaryData[0] = 1;
+  writeUInt32BE(binaryData, onsetsData.length, 1);
+
+  onsetsData.forEach((timeSec, i) => {
+    writeUInt32BE(binaryData, Math.round(timeSec * 1000), 5 + i * 4);
+  });
+
+  return createFreeformItem('com.stems', 'kons', 0, binaryData);
+}
+
+/**
+ * Normalize NI Stems metadata input into the stored model
+ * @param {Array<string|{name: string, color?: string}>|Object|null} input - Stem names or stems,
+ *   or { version, mastering_dsp: { compressor, limiter }, stems }; null for the defaults
+ * @returns {{version: number, mastering_dsp: Object, stems: Array<{name: string, color: string}>}}
+ */
+function normalizeNiStemsMetadata(input) {
+  const config = input == null ? { stems: NI_STEMS_DEFAULT_NAMES } : Array.isArray(input) ? { stems: input } : input;
+  const dsp = config.mastering_dsp || {};
+
+  return {
+    version: config.version ?? 1,
+    mastering_dsp: {
+      compressor: { ...NI_STEMS_DSP_DEFAULTS.compressor, ...dsp.compressor },
+      limiter: { ...NI_STEMS_DSP_DEFAULTS.limiter, ...dsp.limiter },
+    },
+    stems: Array.isArray(config.stems)
+      ? config.stems.map((stem, i) => {
+        const { name, color } = typeof stem === 'string' ? { name: stem } : stem || {};
+        return { name, color: color ?? defaultStemColor(name, i) };
+      })
+      : (config.stems ?? []),
+  };
+}
+
+/**
+ * Default color for a stem: by role name, else by position
+ */
+function defaultStemColor(name, index) {
+  const roleColor = typeof name === 'string' ? NI_STEMS_ROLE_COLORS[name.trim().toLowerCase()] : undefined;
+  return roleColor || NI_STEMS_PALETTE[index % NI_STEMS_PALETTE.length];
+}
+
+/**
+ * Check normalized NI Stems metadata against the NI Stems schema
+ * @param {Object} metadata - Normalized metadata
+ * @param {number} stemCount - Number of stem tracks in the file (audio tracks after the master)
+ * @returns {Array<{path: string, message: string}>} Problems found (empty when valid)
+ */
+function validateNiStemsMetadata(metadata, stemCount) {
+  const errors = [];
+  const fail = (path, problem) => errors.push({ path, message: `${path} ${problem}` });
+
+  if (metadata.version !== 1) {
+    fail('version', `must be 1 (got ${JSON.stringify(metadata.version)})`);
+  }
+
+  for (const [unit, parameters] of Object.entries(NI_STEMS_DSP_SCHEMA)) {
+    const values = metadata.mastering_dsp[unit];
+    for (const key of Object.keys(values).filter((k) => !parameters[k])) {
+      fail(`mastering_dsp.${unit}.${key}`, 'is not a NI Stems parameter');
+    }
+    for (const [key, rule] of Object.entries(parameters)) {
+      const path = `mastering_dsp.${unit}.${key}`;
+      const value = values[key];
+      if (rule.type === 'boolean') {
+        if (typeof value !== 'boolean') fail(path, `must be true or false (got ${JSON.stringify(value)})`);
+      } else if (
+        typeof value !== 'number' ||
+        !(value >= rule.min && value <= rule.max) ||
+        (rule.integer && !Number.isInteger(value))
+      ) {
+        fail(path, `must be ${rule.integer ? 'an integer' : 'a number'} from ${rule.min} to ${rule.max} (got ${JSON.stringify(value)})`);
+      }
+    }
+  }
+
+  if (!Array.isArray(metadata.stems)) {
+    fail('stems', 'must be an array');
+    return errors;
+  }
+  if (metadata.stems.length !== stemCount) {
+    fail('stems', `has ${metadata.stems.length} entries but the file has ${stemCount} stem tracks`);
+  }
+  metadata.stems.forEach(({ name, color }, i) => {
+    if (typeof name !== 'string' || name.trim() === '') {
+      fail(`stems[${i}].name`, 'must be a non-empty string');
+    }
+    if (typeof color !== 'string' || !/^#[0-9A-Fa-f]{6}$/.test(color)) {
+      fail(`stems[${i}].color`, `must be a #RRGGBB color (got ${JSON.stringify(color)})`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Number of stem tracks in a file: the audio tracks after the master
+ */
+function countStemTracks(buffer) {
+  const audioTracks = Extractor.getTrackInfo(buffer).filter((track) => track.type === 'audio').length;
+  return Math.max(audioTracks - 1, 0);
+}
+
+/**
+ * Build the moov/udta/stem atom, validating the metadata against the file
+ * @param {Array|Object|null} stems - As normalizeNiStemsMetadata()
+ * @param {Uint8Array} buffer - The file the atom is written to
+ * @returns {Uint8Array} stem atom
+ */
+function createStemAtom(stems, buffer) {
+  if (stems && typeof stems === 'object' && !Array.isArray(stems)) {
+    const unknownKeys = Object.keys(stems).filter((key) => !['version', 'mastering_dsp', 'stems'].includes(key));
+    if (unknownKeys.length > 0) {
+      throw new Error(`Unknown NI Stems metadata key(s): ${unknownKeys.join(', ')}`);
+    }
+  }
+
+  const metadata = normalizeNiStemsMetadata(stems);
+  const errors = validateNiStemsMetadata(metadata, countStemTracks(buffer));
+  if (errors.length > 0) {
+    throw new Error(`Invalid NI Stems metadata: ${errors.map((e) => e.message).join('; ')}`);
+  }
+  return createAtom('stem', new TextEncoder().encode(JSON.stringify(metadata, null, 2)));
+}
+
+/**
+ * Create the ----:com.apple.iTunes:initialkey item
+ */
+function createMusicalKeyAtom(musicalKey) {
+  return createFreeformItem('com.apple.iTunes', 'initialkey', 1, new TextEncoder().encode(musicalKey));
+}
+
+/**
+ * Create the ilst items for the ITUNES_TAGS fields of a metadata object
+ * Fields that are undefined, null or '' are skipped; other keys are ignored.
+ * @returns {Array<{name: string, atom: Uint8Array}>} Items for the fields that are set
+ */
+function createStandardMetadataAtoms(metadata) {
+  const items = [];
+
+  for (const { key, atom, kind } of ITUNES_TAGS) {
+    const value = metadata[key];
+    if (value === undefined || value === null || value === '') continue;
+
+    const { typeCode, encode } = TAG_CODECS[kind];
+    const payload = encode(value, key);
+    if (atom.startsWith('----:')) {
+      // ----:namespace:name
+      const [, namespace, ...name] = atom.split(':');
+      items.push({ name: key, atom: createFreeformItem(namespace, name.join(':'), typeCode, payload) });
+    } else {
+      items.push({ name: key, atom: createDataItem(atom, typeCode, payload) });
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Normalize a track number (int, string, or {no: X, of: Y})
+ * @returns {{no: number, of: number}|null} Null if the format is invalid
+ */
+export function parseTrackNumber(trackInfo) {
+  if (typeof trackInfo === 'number') {
+    return { no: trackInfo, of: 0 };
+  } else if (typeof trackInfo === 'string' && !isNaN(trackInfo)) {
+    return { no: parseInt(trackInfo, 10), of: 0 };
+  } else if (trackInfo && typeof trackInfo === 'object' && trackInfo.no !== undefined) {
+    return { no: trackInfo.no, of: trackInfo.of || 0 };
+  }
+  return null;
+}
+
+/**
+ * Create the trkn (track number) item
+ */
+function createTrackNumberAtom({ no: trackNo, of: trackOf }) {
+  // [reserved 2][track number 2][total tracks 2][reserved 2]
+  const payload = new Uint8Array(8);
+  writeUInt16BE(payload, trackNo, 2);
+  writeUInt16BE(payload, trackOf, 4);
+  return createDataItem('trkn', 0, payload);
+}
+
+/**
+ * Create a covr item with one data atom per image
+ */
+function createCoverArtAtom(images) {
+  if (images.length === 0) {
+    throw new Error('No cover art image given');
+  }
+
+  const dataAtoms = images.map((image, i) => {
+    const data = toUint8Array(image);
+    const format = detectImageFormat(data);
+    if (format !== 'jpeg' && format !== 'png') {
+      throw new Error(`Cover art image ${i} is not a JPEG or PNG`);
+    }
+
+    // Type: 13 = JPEG, 14 = PNG
+    const dataHeader = new Uint8Array(8);
+    writeUInt32BE(dataHeader, COVR_TYPES[format], 0);
+    return createAtom('data', concatArrays(dataHeader, data));
+  });
+
+  return createAtom('covr', concatArrays(...dataAtoms));
+}
+
+// ============================================================================
+// Writing
+// ============================================================================
+
+/**
+ * Key that identifies an ilst item: its type, or ----:namespace:name for freeform items
+ */
+function ilstItemKey(itemAtom) {
+  const item = parseAtoms(itemAtom)[0];
+  return item.type === '----' ? readFreeformKey(itemAtom, item) : item.type;
+}
+
+/**
+ * Rebuild an ilst atom with items replaced (same key) or appended, and the
+ * items with a key in `removedKeys` dropped
+ */
+function buildMergedIlst(buffer, ilst, itemAtoms, removedKeys = []) {
+  const entries = (ilst ? parseChildAtoms(buffer, ilst).map((child) => atomBytes(buffer, child)) : [])
+    .filter((entry) => !removedKeys.includes(ilstItemKey(entry)));
+
+  for (const itemAtom of itemAtoms) {
+    const key = ilstItemKey(itemAtom);
+    const index = entries.findIndex((entry) => ilstItemKey(entry) === key);
+    if (index >= 0) {
+      entries[index] = itemAtom;
+    } else {
+      entries.push(itemAtom);
+    }
+  }
+
+  return createAtom('ilst', concatArrays(...entries));
+}
+
+/**
+ * Rebuild moov/udta with ilst items merged into meta and the stem atom replaced
+ * Existing `free` atoms in meta are dropped and `padding` bytes of new padding
+ * are added after the ilst (none if 0).
+ * @param {Uint8Array} buffer - Source file
+ * @param {Object|null} udta - Existing udta atom, or null to create one
+ * @param {Array<Uint8Array>} itemAtoms - ilst items to write
+ * @param {Array<string>} removedKeys - Keys of ilst items to drop (see ilstItemKey())
+ * @param {Uint8Array|null} stemAtom - New stem atom, or null to keep the existing one
+ * @param {number} padding - Size of the meta `free` atom (0 or at least 8)
+ */
+function buildEditedUdta(buffer, udta, itemAtoms, removedKeys, stemAtom, padding) {
+  const parts = [];
+  let metaEdited = false;
+  let stemWritten = false;
+
+  for (const child of udta ? parseChildAtoms(buffer, udta) : []) {
+    if (child.type === 'meta' && !metaEdited) {
+      // meta has 4 bytes of version/flags before its children
+      const metaParts = [buffer.subarray(child.dataOffset, child.dataOffset + 4)];
+      const metaChildren = parseChildAtoms(buffer, child, 4).filter((a) => a.type !== 'free');
+      const ilst = metaChildren.find((a) => a.type === 'ilst') || null;
+      for (const metaChild of metaChildren) {
+        metaParts.push(
+          metaChild === ilst && (itemAtoms.length > 0 || removedKeys.length > 0)
+            ? buildMergedIlst(buffer, ilst, itemAtoms, removedKeys)
+            : atomBytes(buffer, metaChild)
+        );
+      }
+      if (!ilst && itemAtoms.length > 0) {
+        metaParts.push(buildMergedIlst(buffer, null, itemAtoms));
+      }
+      if (padding > 0) {
+        metaParts.push(createFreeAtom(padding));
+      }
+      parts.push(createAtom('meta', concatArrays(...metaParts)));
+      metaEdited = true;
+    } else if (child.type === 'stem' && stemAtom) {
+      // Replace the stem atom (and drop duplicates appended by older writers)
+      if (!stemWritten) parts.push(stemAtom);
+      stemWritten = true;
+    } else {
+      parts.push(atomBytes(buffer, child));
+    }
+  }
+
+  if (!metaEdited && (itemAtoms.length > 0 || padding > 0)) {
+    parts.push(createAtom('meta', concatArrays(
+      new Uint8Array(4), // Version/flags
+      createAtom('hdlr', META_HDLR_DATA),
+      createAtom('ilst', concatArrays(...itemAtoms)),
+      padding > 0 ? createFreeAtom(padding) : new Uint8Array(0)
+    )));
+  }
+  if (!stemWritten && stemAtom) {
+    parts.push(stemAtom);
+  }
+
+  return createAtom('udta', concatArrays(...parts));
+}
+
+/**
+ * Create a `free` padding atom of `size` bytes (header included)
+ */
+function createFreeAtom(size) {
+  return createAtom('free', new Uint8Array(size - 8));
+}
+
+/**
+ * Set or clear tkhd flags (enabled, inMovie, inPreview) in a copy of a trak atom
+ */
+function setTrakFlags(trakData, trackChange) {
+  // A copy: Buffer#slice would be a view into the input
+  const trak = new Uint8Array(trakData);
+  const tkhd = parseChildAtoms(trak, parseAtoms(trak)[0]).find((a) => a.type === 'tkhd');
+  if (!tkhd) {
+    throw new Error('No tkhd atom found in trak');
+  }
+
+  // tkhd: version (1) + flags (3); the track flags are in the last byte
+  for (const [key, bit] of Object.entries(TKHD_FLAGS)) {
+    if (trackChange[key] === true) {
+      trak[tkhd.dataOffset + 3] |= bit;
+    } else if (trackChange[key] === false) {
+      trak[tkhd.dataOffset + 3] &= ~bit;
+    }
+  }
+  return trak;
+}
+
+/**
+ * Find the stco/co64 atoms of a moov atom
+ */
+function findChunkOffsetTables(moov) {
+  const tables = [];
+  const walk = (atoms) => {
+    for (const atom of atoms) {
+      if (atom.type === 'stco' || atom.type === 'co64') {
+        tables.push(atom);
+      } else if (['moov', 'trak', 'mdia', 'minf', 'stbl'].includes(atom.type)) {
+        walk(parseChildAtoms(moov, atom));
+      }
+    }
+  };
+  walk(parseAtoms(moov));
+  return tables;
+}
+
+/**
+ * Rebuild a moov atom with every stco converted to co64
+ */
+function convertStcoToCo64(moov) {
+  const rebuild = (atom) => {
+    if (atom.type === 'stco') {
+      const entryCount = readUInt32BE(moov, atom.dataOffset + 4);
+      const co64Data = new Uint8Array(8 + entryCount * 8);
+      co64Data.set(moov.subarray(atom.dataOffset, atom.dataOffset + 8)); // version/flags + count
+      for (let i = 0; i < entryCount; i++) {
+        writeBigUInt64BE(co64Data, readUInt32BE(moov, atom.dataOffset + 8 + i * 4), 8 + i * 8);
+      }
+      return createAtom('co64', co64Data);
+    }
+
+    if (['moov', 'trak', 'mdia', 'minf', 'stbl'].includes(atom.type)) {
+      return createAtom(atom.type, concatArrays(...parseChildAtoms(moov, atom).map(rebuild)));
+    }
+
+    return atomBytes(moov, atom);
+  };
+
+  return rebuild(parseAtoms(moov)[0]);
+}
+
+/**
+ * Shift the chunk offsets of a rebuilt moov (in place) by how much it grew
+ * Offsets at or past `shiftThreshold` (the old moov end) move. stco tables are
+ * converted to co64 when the shifted offsets no longer fit in 32 bits.
+ * @returns {Uint8Array} Final moov
+ */
+function shiftChunkOffsets(moov, sizeDelta, shiftThreshold) {
+  const overflows = findChunkOffsetTables(moov).some((table) => {
+    if (table.type !== 'stco') return false;
+    const entryCount = readUInt32BE(moov, table.dataOffset + 4);
+    for (let i = 0; i < entryCount; i++) {
+      const chunkOffset = readUInt32BE(moov, table.dataOffset + 8 + i * 4);
+      if (chunkOffset >= shiftThreshold && chunkOffset + sizeDelta > 0xffffffff) return true;
+    }
+    return false;
+  });
+
+  if (overflows) {
+    const co64Moov = convertStcoToCo64(moov);
+    sizeDelta += co64Moov.length - moov.length;
+    moov = co64Moov;
+  }
+
+  for (const table of findChunkOffsetTables(moov)) {
+    const entryCount = readUInt32BE(moov, table.dataOffset + 4);
+    const is64 = table.type === 'co64';
+    for (let i = 0; i < entryCount; i++) {
+      const pos = table.dataOffset + 8 + i * (is64 ? 8 : 4);
+      const chunkOffset = is64 ? readBigUInt64BE(moov, pos) : readUInt32BE(moov, pos);
+      if (chunkOffset >= shiftThreshold) {
+        if (is64) {
+          writeBigUInt64BE(moov, chunkOffset + sizeDelta, pos);
+        } else {
+          writeUInt32BE(moov, chunkOffset + sizeDelta, pos);
+        }
+      }
+    }
+  }
+
+  return moov;
+}
+
+/**
+ * Rebuild moov with several metadata changes
+ *
+ * moov/udta/meta holds a `free` padding atom that grows or shrinks to absorb
+ * the change, so moov usually keeps its size: then only the moov bytes differ
+ * and the file can be patched in place. When the padding runs out, moov grows
+ * by the change plus `options.padding` bytes of fresh padding and the chunk
+ * offsets are shifted (the rest of the file moves).
+ *
+ * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data
+ * @param {Object} changes - Changes to apply (see edit())
+ * @param {Object} [options]
+ * @param {number} [options.padding=4096] - Padding to reserve when moov has to grow (0 for none)
+ * @returns {{offset: number, size: number, moov: Uint8Array}} New moov to replace the `size` bytes at `offset`
+ */
+export function editMoov(data, changes, options = {}) {
+  const { padding = DEFAULT_PADDING } = options;
+  if (padding !== 0 && !(padding >= 8)) {
+    throw new Error(`Padding must be 0 or at least 8 bytes (got ${padding})`);
+  }
+
+  const unknown = Object.keys(changes).filter((key) => !EDIT_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown edit "${unknown[0]}"`);
+  }
+
+  // ilst items, replacing existing items of the same type (or freeform name)
+  const itemAtoms = [];
+  if (changes.kara !== undefined) {
+    itemAtoms.push(createKaraAtom(changes.kara));
+  }
+  if (changes.metadata) {
+    itemAtoms.push(...createStandardMetadataAtoms(changes.metadata).map((item) => item.atom));
+  }
+  if (changes.key) {
+    itemAtoms.push(createMusicalKeyAtom(changes.key));
+  }
+  if (changes.track !== undefined) {
+    const trackNumber = parseTrackNumber(changes.track);
+    if (!trackNumber || ![trackNumber.no, trackNumber.of].every((n) => Number.isInteger(n) && n >= 0 && n <= 0xffff)) {
+      throw new Error(`track must be a number or { no, of } (got ${describeValue(changes.track)})`);
+    }
+    itemAtoms.push(createTrackNumberAtom(trackNumber));
+  }
+  if (changes.vpch !== undefined) {
+    itemAtoms.push(createVpchAtom(changes.vpch));
+  }
+  if (changes.kons !== undefined) {
+    itemAtoms.push(createKonsAtom(changes.kons));
+  }
+  const removedKeys = [];
+  if (changes.coverArt === null) {
+    removedKeys.push('covr');
+  } else if (changes.coverArt !== undefined) {
+    itemAtoms.push(createCoverArtAtom(Array.isArray(changes.coverArt) ? changes.coverArt : [changes.coverArt]));
+  }
+
+  const stemAtom = changes.stems !== undefined ? createStemAtom(changes.stems, toUint8Array(data)) : null;
+
+  const trackChanges = new Map();
+  if (changes.defaultTrack !== undefined) {
+    // The default track plays; other tracks of its type are switched off
+    const tracks = Extractor.getTrackInfo(data);
+    const defaultTrack = tracks.find((track) => track.index === changes.defaultTrack);
+    if (!defaultTrack) {
+      throw new Error(`Track ${changes.defaultTrack} not found in file`);
+    }
+    for (const track of tracks.filter((t) => t.type === defaultTrack.type)) {
+      const on = track === defaultTrack;
+      trackChanges.set(track.index, { enabled: on, inMovie: on, inPreview: on });
+    }
+  }
+  for (const [index, trackChange] of Object.entries(changes.tracks || {})) {
+    const flags = Object.keys(TKHD_FLAGS).filter((key) => trackChange[key] !== undefined);
+    if (flags.length === 0 || flags.some((key) => typeof trackChange[key] !== 'boolean')) {
+      throw new Error(`Track ${index} change must set enabled, inMovie or inPreview to true or false`);
+    }
+    trackChanges.set(Number(index), { ...trackChanges.get(Number(index)), ...trackChange });
+  }
+
+  const buffer = toUint8Array(data);
+  const moov = parseAtoms(buffer).find((a) => a.type === 'moov');
+  if (!moov) {
+    throw new Error('No moov atom found');
+  }
+
+  // Rebuild moov: patched traks, edited udta, everything else copied
+  const editUdta = itemAtoms.length > 0 || removedKeys.length > 0 || stemAtom !== null;
+  const buildMoov = (paddingSize) => {
+    const moovParts = [];
+    const pendingTracks = new Map(trackChanges);
+    let trackIndex = 0;
+    let udtaEdited = false;
+
+    for (const child of parseChildAtoms(buffer, moov)) {
+      if (child.type === 'trak') {
+        const trackChange = pendingTracks.get(trackIndex);
+        moovParts.push(trackChange ? setTrakFlags(atomBytes(buffer, child), trackChange) : atomBytes(buffer, child));
+        pendingTracks.delete(trackIndex);
+        trackIndex++;
+      } else if (child.type === 'udta' && !udtaEdited) {
+        moovParts.push(buildEditedUdta(buffer, child, itemAtoms, removedKeys, stemAtom, paddingSize));
+        udtaEdited = true;
+      } else {
+        moovParts.push(atomBytes(buffer, child));
+      }
+    }
+
+    if (pendingTracks.size > 0) {
+      throw new Error(`Track ${[...pendingTracks.keys()][0]} not found in file`);
+    }
+    if (!udtaEdited && (editUdta || paddingSize > 0)) {
+      moovParts.push(buildEditedUdta(buffer, null, itemAtoms, removedKeys, stemAtom, paddingSize));
+    }
+
+    return createAtom('moov', concatArrays(...moovParts));
+  };
+
+  // Resize the meta padding so moov keeps its size; if the change does not
+  // fit, reserve fresh padding and shift the chunk offsets instead
+  let newMoov = buildMoov(0);
+  if (newMoov.length !== moov.size) {
+    // Bytes added besides the free atom itself (a new udta/meta to hold it)
+    const overhead = buildMoov(8).length - newMoov.length - 8;
+    const spare = moov.size - newMoov.length - overhead;
+    if (spare >= 8) {
+      newMoov = buildMoov(spare);
+    } else if (padding > 0) {
+      newMoov = buildMoov(padding);
+    }
+  }
+
+  if (newMoov.length !== moov.size) {
+    newMoov = shiftChunkOffsets(newMoov, newMoov.length - moov.size, moov.offset + moov.size);
+  }
+
+  return { offset: moov.offset, size: moov.size, moov: newMoov };
+}
+
+/**
+ * Apply several metadata changes in one pass
+ *
+ * Every change is made to a rebuilt moov, the chunk offsets are fixed once and
+ * a new file is returned (`data` is not modified). Omitted keys are left
+ * unchanged. All atoms are built first, so invalid data throws early.
+ * See editMoov() for how `free` padding keeps moov the same size.
+ *
+ * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data
+ * @param {Object} changes - Changes to apply
+ * @param {Object} [changes.kara] - Karaoke data
+ * @param {Array|Object|null} [changes.stems] - NI Stems metadata, as addNiStemsMetadata(); replaces moov/udta/stem
+ * @param {Object} [changes.metadata] - Standard tags keyed as in ITUNES_TAGS (title, artist, album, tempo, disc, ...)
+ * @param {string} [changes.key] - Musical key
+ * @param {number|string|Object} [changes.track] - Track number (int, string, or {no: X, of: Y}); invalid values throw
+ * @param {Object} [changes.vpch] - Vocal pitch data: { sampleRate, data: [{ midi, cents }] }
+ * @param {Array<number>} [changes.kons] - Onset times in seconds
+ * @param {Uint8Array|Array<Uint8Array>|null} [changes.coverArt] - JPEG/PNG images, replacing covr (null removes it)
+ * @param {Object<number, {enabled?: boolean, inMovie?: boolean, inPreview?: boolean}>} [changes.tracks] - tkhd flag changes by track index (0-based)
+ * @param {number} [changes.defaultTrack] - Track to play by default: its flags are set and cleared on the other tracks of its type
+ * @param {Object} [options]
+ * @param {number} [options.padding=4096] - Padding to reserve when moov has to grow (0 for none)
+ * @returns {Uint8Array} The edited file
+ */
+export function edit(data, changes, options = {}) {
+  const buffer = toUint8Array(data);
+  const { offset, size, moov } = editMoov(buffer, changes, options);
+  return concatArrays(buffer.subarray(0, offset), moov, buffer.subarray(offset + size));
+}
+
+/**
+ * Write the kara (Karaoke Data) atom
+ * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data
+ * @param {Object} karaData - Karaoke data to write (will be JSON-encoded)
+ * @param {Object} [options] - As edit()
+ * @returns {Uint8Array} The edited file
+ */
+export function writeKaraAtom(data, karaData, options = {}) {
+  return edit(data, { kara: karaData }, options);
+}
+
+/**
+ * Write NI Stems metadata to moov/udta/stem
+ *
+ * `stems` is a list of stem names or `{ name, color }` objects (colors default
+ * by role), or `{ version, mastering_dsp: { compressor, limiter }, stems }` to
+ * set mastering parameters too; missing parameters take their defaults. The
+ * result must match the NI Stems schema and have one stem per audio track
+ * after the master, or this throws.
+ *
+ * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data
+ * @param {Array<string|{name: string, color?: string}>|Object|null} [stems] - Stems (default: Drums, Bass, Other, Vocals)
+ * @param {Object} [options] - As edit()
+ * @returns {Uint8Array} The edited file
+ */
+export function addNiStemsMetadata(data, stems = null, options = {}) {
+  return edit(data, { stems }, options);
+}
+
+/**
+ * Write the vpch (Vocal Pitch) atom
+ * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data
+ * @param {Object} pitchData - Pitch data object with sampleRate and data array
+ * @param {Object} [options] - As edit()
+ * @returns {Uint8Array} The edited file
+ */
+export function writeVpchAtom(data, pitchData, options = {}) {
+  return edit(data, { vpch: pitchData }, options);
+}
+
+/**
+ * Write the kons (Karaoke Onsets) atom
+ * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data
+ * @param {Array<number>} onsetsData - Array of onset times in seconds
+ * @param {Object} [options] - As edit()
+ * @returns {Uint8Array} The edited file
+ */
+export function writeKonsAtom(data, onsetsData, options = {}) {
+  return edit(data, { kons: onsetsData }, options);
+}
+
+/**
+ * Write the musical key for DJ software (harmonic mixing)
+ * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data
+ * @param {string} musicalKey - Musical key (e.g., "Am", "C#m", "5A")
+ * @param {Object} [options] - As edit()
+ * @returns {Uint8Array} The edited file
+ */
+export function addMusicalKey(data, musicalKey, options = {}) {
+  return edit(data, { key: musicalKey }, options);
+}
+
+/**
+ * Write iTunes tags (title, artist, album, year, genre, BPM, disc, sort order, ...)
+ * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data
+ * @param {Object} metadata - Fields keyed as in ITUNES_TAGS; undefined, null and '' fields are skipped
+ * @param {Object} [options] - As edit()
+ * @returns {Uint8Array} The edited file
+ */
+export function addStandardMetadata(data, metadata, options = {}) {
+  return edit(data, { metadata }, options);
+}
+
+/**
+ * Write the track number
+ * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data
+ * @param {number|string|Object} trackInfo - Track number (int, string, or {no: X, of: Y})
+ * @param {Object} [options] - As edit()
+ * @returns {Uint8Array} The edited file
+ */
+export function addTrackNumber(data, trackInfo, options = {}) {
+  return edit(data, { track: trackInfo }, options);
+}
+
+/**
+ * Write cover art to the iTunes `covr` atom, replacing any existing artwork
+ * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data
+ * @param {Uint8Array|Array<Uint8Array>} images - JPEG or PNG image data (one or more)
+ * @param {Object} [options] - As edit()
+ * @returns {Uint8Array} The edited file
+ */
+export function writeCoverArt(data, images, options = {}) {
+  return edit(data, { coverArt: images }, options);
+}
+
+/**
+ * Remove the iTunes `covr` atom; its bytes go to the meta padding
+ * Attached-picture tracks are left in place.
+ * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data
+ * @param {Object} [options] - As edit()
+ * @returns {Uint8Array} The edited file
+ */
+export function removeCoverArt(data, options = {}) {
+  return edit(data, { coverArt: null }, options);
+}
+
+/**
+ * Enable tracks (sets the enabled, in-movie and in-preview tkhd flags)
+ * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data
+ * @param {Array<number>} trackIndices - Indices of tracks to enable (0-based)
+ * @param {Object} [options] - As edit()
+ * @returns {Uint8Array} The edited file
+ */
+export function enableTracks(data, trackIndices, options = {}) {
+  return edit(data, { tracks: trackFlagChanges(trackIndices, true) }, options);
+}
+
+/**
+ * Disable tracks (clears the enabled, in-movie and in-preview tkhd flags)
+ * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data
+ * @param {Array<number>} trackIndices - Indices of tracks to disable (0-based)
+ * @param {Object} [options] - As edit()
+ * @returns {Uint8Array} The edited file
+ */
+export function disableTracks(data, trackIndices, options = {}) {
+  return edit(data, { tracks: trackFlagChanges(trackIndices, false) }, options);
+}
+
+/**
+ * Make a track the one players pick: it is enabled and every other track of
+ * the same type (audio, video, ...) is disabled
+ * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data
+ * @param {number} trackIndex - Track index (0-based)
+ * @param {Object} [options] - As edit()
+ * @returns {Uint8Array} The edited file
+ */
+export function setDefaultTrack(data, trackIndex, options = {}) {
+  return edit(data, { defaultTrack: trackIndex }, options);
+}
+
+/**
+ * Track changes that set or clear every tkhd flag of the given tracks
+ */
+function trackFlagChanges(trackIndices, on) {
+  return Object.fromEntries(trackIndices.map((index) => [index, { enabled: on, inMovie: on, inPreview: on }]));
+}
+
+export default {
+  ITUNES_TAGS,
+  readKaraAtom,
+  readNiStemsMetadata,
+  readVpchAtom,
+  readKonsAtom,
+  readMusicalKey,
+  readStandardMetadata,
+  readTrackNumber,
+  readCoverArt,
+  edit,
+  editMoov,
+  writeKaraAtom,
+  addNiStemsMetadata,
+  writeVpchAtom,
+  writeKonsAtom,
+  addMusicalKey,
+  addStandardMetadata,
+  addTrackNumber,
+  writeCoverArt,
+  removeCoverArt,
+  enableTracks,
+  disableTracks,
+  setDefaultTrack,
+};
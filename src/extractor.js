@@ -8,6 +8,63 @@
  * Consumer is responsible for I/O (file reading, fetching, etc).
  */
 
+import { generateWebVTT } from './webvtt.js';
+
+// AAC sampling frequency index -> Hz (ISO 14496-3 Table 1.18)
+const AAC_SAMPLE_RATES = [
+  96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350,
+];
+
+// AAC channel configuration -> channel count
+const AAC_CHANNEL_COUNTS = [0, 1, 2, 3, 4, 5, 6, 8];
+
+// NI Stems track order: master, then the four stems
+const NI_DEFAULT_ROLES = ['mixdown', 'drums', 'bass', 'other', 'vocals'];
+
+// Names used for the full-mix track
+const MASTER_ROLES = ['mixdown', 'master', 'mix'];
+
+// How long async extraction may run before giving the event loop a turn
+const YIELD_INTERVAL_MS = 8;
+
+// hdlr handler type -> track type
+const TRACK_TYPES = {
+  soun: 'audio',
+  text: 'text',
+  sbtl: 'text',
+  subt: 'text',
+  clcp: 'text',
+  vide: 'video',
+  pict: 'video',
+};
+
+// Container atoms walked by verify(), with the bytes that precede their children
+const CONTAINER_ATOMS = {
+  moov: 0,
+  trak: 0,
+  mdia: 0,
+  minf: 0,
+  stbl: 0,
+  edts: 0,
+  dinf: 0,
+  udta: 0,
+  mvex: 0,
+  moof: 0,
+  traf: 0,
+  ilst: 0,
+  meta: 4,
+  dref: 8,
+  stsd: 8,
+};
+
+// Sample table atom -> [header bytes before the entries, bytes per entry]
+const TABLE_LAYOUTS = {
+  stco: [8, 4],
+  co64: [8, 8],
+  stsc: [8, 12],
+  stts: [8, 8],
+};
+
 /**
  * Helper: Read big-endian uint32 from Uint8Array
  */
@@ -29,6 +86,13 @@ function readBigUInt64BE(data, offset) {
   return high * 0x100000000 + low;
 }
 
+/**
+ * Helper: Read big-endian uint16 from Uint8Array
+ */
+function readUInt16BE(data, offset) {
+  return (data[offset] << 8) | data[offset + 1];
+}
+
 /**
  * Helper: Read uint8 from Uint8Array
  */
@@ -47,6 +111,14 @@ function readString(data, offset, length) {
   return str;
 }
 
+/**
+ * Helper: Write big-endian uint64 (from a Number) to Uint8Array
+ */
+function writeBigUInt64BE(data, value, offset) {
+  writeUInt32BE(data, Math.floor(value / 0x100000000), offset);
+  writeUInt32BE(data, value % 0x100000000, offset + 4);
+}
+
 /**
  * Helper: Write big-endian uint32 to Uint8Array
  */
@@ -120,17 +192,28 @@ function toUint8Array(data) {
 
 /**
  * Parse MP4 atoms from buffer
+ * Handles 64-bit sizes (size == 1, largesize after the type) and atoms that
+ * extend to the end of the enclosing space (size == 0).
  */
 function parseAtoms(buffer, offset = 0, maxLength = null) {
   const atoms = [];
-  const endOffset = maxLength ? offset + maxLength : buffer.length;
+  const endOffset = maxLength !== null ? offset + maxLength : buffer.length;
   let pos = offset;
 
-  while (pos < endOffset - 8) {
-    const size = readUInt32BE(buffer, pos);
+  while (pos <= endOffset - 8) {
+    let size = readUInt32BE(buffer, pos);
     const type = readString(buffer, pos + 4, 4);
+    let headerSize = 8;
+
+    if (size === 1) {
+      if (pos + 16 > endOffset) break;
+      size = readBigUInt64BE(buffer, pos + 8);
+      headerSize = 16;
+    } else if (size === 0) {
+      size = endOffset - pos;
+    }
 
-    if (size === 0 || size < 8 || size > buffer.length - pos) {
+    if (size < headerSize || size > buffer.length - pos) {
       break;
     }
 
@@ -138,7 +221,7 @@ function parseAtoms(buffer, offset = 0, maxLength = null) {
       type,
       offset: pos,
       size,
-      dataOffset: pos + 8,
+      dataOffset: pos + headerSize,
     });
 
     pos += size;
@@ -147,6 +230,15 @@ function parseAtoms(buffer, offset = 0, maxLength = null) {
   return atoms;
 }
 
+/**
+ * Parse the children of a container atom
+ * `skip` covers version/flags that precede the children (e.g. 4 for meta).
+ */
+function parseChildAtoms(buffer, atom, skip = 0) {
+  const start = atom.dataOffset + skip;
+  return parseAtoms(buffer, start, atom.offset + atom.size - start);
+}
+
 /**
  * Find an atom by type within a list
  */
@@ -230,6 +322,265 @@ function parseStsd(buffer, atom) {
   return sliceArray(buffer, atom.offset, atom.offset + atom.size);
 }
 
+/**
+ * Read an MPEG-4 descriptor header (tag + expandable length)
+ */
+function readDescriptorHeader(data, offset) {
+  const tag = data[offset];
+  let length = 0;
+  let pos = offset + 1;
+
+  for (let i = 0; i < 4; i++) {
+    const byte = data[pos++];
+    length = (length << 7) | (byte & 0x7f);
+    if (!(byte & 0x80)) break;
+  }
+
+  return { tag, length, dataOffset: pos };
+}
+
+/**
+ * Parse esds (elementary stream descriptor) atom
+ * Returns the DecoderConfigDescriptor fields and the AudioSpecificConfig bytes
+ */
+function parseEsds(buffer, atom) {
+  const end = atom.offset + atom.size;
+  // Skip version/flags
+  let pos = atom.dataOffset + 4;
+
+  const esDescriptor = readDescriptorHeader(buffer, pos);
+  if (esDescriptor.tag !== 0x03) return null;
+
+  pos = esDescriptor.dataOffset + 2; // ES_ID
+  const esFlags = buffer[pos++];
+  if (esFlags & 0x80) pos += 2; // streamDependenceFlag -> dependsOn_ES_ID
+  if (esFlags & 0x40) pos += 1 + buffer[pos]; // URL_Flag -> URLstring
+  if (esFlags & 0x20) pos += 2; // OCRstreamFlag -> OCR_ES_Id
+
+  const decoderConfig = readDescriptorHeader(buffer, pos);
+  if (decoderConfig.tag !== 0x04) return null;
+
+  pos = decoderConfig.dataOffset;
+  const result = {
+    objectTypeIndication: buffer[pos],
+    streamType: buffer[pos + 1] >> 2,
+    bufferSize: (buffer[pos + 2] << 16) | (buffer[pos + 3] << 8) | buffer[pos + 4],
+    maxBitrate: readUInt32BE(buffer, pos + 5),
+    avgBitrate: readUInt32BE(buffer, pos + 9),
+    decoderSpecificInfo: null,
+  };
+
+  pos += 13;
+  if (pos < end && pos < decoderConfig.dataOffset + decoderConfig.length) {
+    const specificInfo = readDescriptorHeader(buffer, pos);
+    if (specificInfo.tag === 0x05) {
+      result.decoderSpecificInfo = sliceArray(
+        buffer,
+        specificInfo.dataOffset,
+        Math.min(specificInfo.dataOffset + specificInfo.length, end)
+      );
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Create an MSB-first bit reader over a byte array (reads past the end yield zeros)
+ */
+function createBitReader(data) {
+  let bitPos = 0;
+  return (count) => {
+    let value = 0;
+    for (let i = 0; i < count; i++, bitPos++) {
+      const byte = data[bitPos >> 3] || 0;
+      value = value * 2 + ((byte >> (7 - (bitPos & 7))) & 1);
+    }
+    return value;
+  };
+}
+
+/**
+ * Parse an AAC AudioSpecificConfig (esds DecoderSpecificInfo)
+ * `objectType` is the signalled type (5/29 for HE-AAC) and `sampleRate` the output rate;
+ * `coreObjectType`, `samplingFrequencyIndex` and `coreSampleRate` describe the AAC core.
+ * An explicit core sample rate is signalled as `samplingFrequencyIndex` 15.
+ * @param {Uint8Array} asc - AudioSpecificConfig bytes
+ * @returns {Object} { objectType, coreObjectType, samplingFrequencyIndex, coreSampleRate, sampleRate,
+ *   channelConfiguration, channels, frameLength, sbr }
+ */
+export function parseAudioSpecificConfig(asc) {
+  if (!asc || asc.length < 2) {
+    throw new Error('AudioSpecificConfig is missing or too short');
+  }
+
+  const readBits = createBitReader(asc);
+  const readObjectType = () => {
+    const objectType = readBits(5);
+    return objectType === 31 ? 32 + readBits(6) : objectType;
+  };
+  const readSampleRate = () => {
+    const index = readBits(4);
+    return { index, rate: index === 15 ? readBits(24) : AAC_SAMPLE_RATES[index] || 0 };
+  };
+
+  const objectType = readObjectType();
+  const core = readSampleRate();
+  const channelConfiguration = readBits(4);
+  let coreObjectType = objectType;
+  let sampleRate = core.rate;
+  let sbr = false;
+
+  // Explicit HE-AAC / HE-AACv2 signalling: the extension rate is the output rate
+  if (objectType === 5 || objectType === 29) {
+    sbr = true;
+    sampleRate = readSampleRate().rate;
+    coreObjectType = readObjectType();
+  }
+
+  // GASpecificConfig frameLengthFlag
+  let frameLength = 1024;
+  if (coreObjectType >= 1 && coreObjectType <= 4) {
+    frameLength = readBits(1) ? 960 : 1024;
+  }
+
+  return {
+    objectType,
+    coreObjectType,
+    samplingFrequencyIndex: core.index,
+    coreSampleRate: core.rate,
+    sampleRate,
+    channelConfiguration,
+    channels: AAC_CHANNEL_COUNTS[channelConfiguration] || 0,
+    frameLength,
+    sbr,
+  };
+}
+
+/**
+ * Read the ADTS header fields of an AAC track from its AudioSpecificConfig
+ * HE-AAC is signalled as its AAC core (implicit SBR), as ADTS has no SBR field.
+ * Throws for non-AAC tracks and configs ADTS cannot express.
+ */
+function readAdtsConfig(sampleEntry) {
+  const { esds } = sampleEntry;
+  // 0x40 = MPEG-4 Audio, 0x66-0x68 = MPEG-2 AAC Main/LC/SSR
+  if (sampleEntry.format !== 'mp4a' || !esds || ![0x40, 0x66, 0x67, 0x68].includes(esds.objectTypeIndication)) {
+    throw new Error(`ADTS output requires an AAC track (found ${getCodecString(sampleEntry)})`);
+  }
+
+  const asc = esds.decoderSpecificInfo;
+  if (!asc || asc.length < 2) {
+    throw new Error('ADTS output requires an AudioSpecificConfig');
+  }
+
+  const { coreObjectType: objectType, samplingFrequencyIndex, channelConfiguration } = parseAudioSpecificConfig(asc);
+  if (samplingFrequencyIndex === 15) {
+    throw new Error('ADTS cannot carry an explicit AAC sample rate');
+  }
+  if (objectType < 1 || objectType > 4) {
+    throw new Error(`ADTS cannot carry AAC object type ${objectType}`);
+  }
+  if (channelConfiguration === 0 || channelConfiguration > 7) {
+    throw new Error(`ADTS cannot carry AAC channel configuration ${channelConfiguration}`);
+  }
+
+  return { objectType, samplingFrequencyIndex, channelConfiguration };
+}
+
+/**
+ * Write a 7-byte ADTS header (no CRC) for one access unit
+ */
+function writeAdtsHeader(target, offset, adtsConfig, payloadSize) {
+  const frameLength = 7 + payloadSize;
+  if (frameLength > 0x1fff) {
+    throw new Error(`AAC frame of ${payloadSize} bytes is too large for ADTS`);
+  }
+
+  const { objectType, samplingFrequencyIndex, channelConfiguration } = adtsConfig;
+  target[offset] = 0xff; // syncword
+  target[offset + 1] = 0xf1; // syncword, MPEG-4, layer 0, no CRC
+  target[offset + 2] = ((objectType - 1) << 6) | (samplingFrequencyIndex << 2) | (channelConfiguration >> 2);
+  target[offset + 3] = ((channelConfiguration & 3) << 6) | (frameLength >> 11);
+  target[offset + 4] = (frameLength >> 3) & 0xff;
+  target[offset + 5] = ((frameLength & 7) << 5) | 0x1f; // buffer fullness 0x7ff (VBR)
+  target[offset + 6] = 0xfc; // one raw data block
+}
+
+/**
+ * Parse an ALAC magic cookie (ALACSpecificConfig)
+ * Accepts the bare 24-byte config or one wrapped in QuickTime frma/alac atoms,
+ * and keeps the raw 24-byte cookie for decoders alongside the decoded fields.
+ * @param {Uint8Array} bytes - Magic cookie bytes
+ * @returns {Object} { magicCookie, frameLength, compatibleVersion, bitDepth, pb, mb, kb, channels, maxRun,
+ *   maxFrameBytes, avgBitrate, sampleRate }
+ */
+export function parseAlacCookie(bytes) {
+  let offset = 0;
+  if (bytes && bytes.length >= 12 && readString(bytes, 4, 4) === 'frma') offset += 12;
+  if (bytes && bytes.length - offset >= 12 && readString(bytes, offset + 4, 4) === 'alac') offset += 12;
+
+  if (!bytes || bytes.length - offset < 24) {
+    throw new Error('ALAC magic cookie is missing or too short');
+  }
+
+  return {
+    magicCookie: sliceArray(bytes, offset, offset + 24),
+    frameLength: readUInt32BE(bytes, offset),
+    compatibleVersion: readUInt8(bytes, offset + 4),
+    bitDepth: readUInt8(bytes, offset + 5),
+    pb: readUInt8(bytes, offset + 6),
+    mb: readUInt8(bytes, offset + 7),
+    kb: readUInt8(bytes, offset + 8),
+    channels: readUInt8(bytes, offset + 9),
+    maxRun: readUInt16BE(bytes, offset + 10),
+    maxFrameBytes: readUInt32BE(bytes, offset + 12),
+    avgBitrate: readUInt32BE(bytes, offset + 16),
+    sampleRate: readUInt32BE(bytes, offset + 20),
+  };
+}
+
+/**
+ * Parse the first sample entry of an stsd atom (as returned by parseStsd)
+ * Audio entries yield channel count, sample size, sample rate and codec config.
+ */
+function parseSampleEntry(stsd) {
+  // stsd: [size][type][version/flags][entry_count] then sample entries
+  const entryOffset = 16;
+  const entrySize = readUInt32BE(stsd, entryOffset);
+  const format = readString(stsd, entryOffset + 4, 4);
+  const entry = { format };
+
+  if (!['mp4a', 'alac', 'ac-3', 'ec-3', 'Opus', 'fLaC'].includes(format)) {
+    return entry;
+  }
+
+  // AudioSampleEntry (QuickTime sound description versions 1 and 2 add fields)
+  const version = readUInt16BE(stsd, entryOffset + 16);
+  entry.channelCount = readUInt16BE(stsd, entryOffset + 24);
+  entry.sampleSize = readUInt16BE(stsd, entryOffset + 26);
+  entry.sampleRate = readUInt32BE(stsd, entryOffset + 32) >>> 16;
+
+  let childOffset = entryOffset + 36;
+  if (version === 1) childOffset += 16;
+  if (version === 2) childOffset += 36;
+
+  const children = parseAtoms(stsd, childOffset, entryOffset + entrySize - childOffset);
+  const esdsAtom = findAtom(children, 'esds');
+  entry.esds = esdsAtom ? parseEsds(stsd, esdsAtom) : null;
+
+  if (format === 'alac') {
+    // QuickTime-style entries wrap the cookie in a wave atom
+    const wave = findAtom(children, 'wave');
+    const alacAtom = findAtom(wave ? parseChildAtoms(stsd, wave) : children, 'alac');
+    if (alacAtom && alacAtom.offset + alacAtom.size >= alacAtom.dataOffset + 28) {
+      entry.alac = parseAlacCookie(stsd.subarray(alacAtom.dataOffset + 4, alacAtom.offset + alacAtom.size));
+    }
+  }
+
+  return entry;
+}
+
 /**
  * Parse stts (time-to-sample) atom
  */
@@ -258,15 +609,185 @@ function parseMdhd(buffer, atom) {
     return {
       timescale: readUInt32BE(buffer, atom.dataOffset + 12),
       duration: readUInt32BE(buffer, atom.dataOffset + 16),
+      language: decodeLanguage(readUInt16BE(buffer, atom.dataOffset + 20)),
     };
   } else {
     return {
       timescale: readUInt32BE(buffer, atom.dataOffset + 20),
       duration: readBigUInt64BE(buffer, atom.dataOffset + 24),
+      language: decodeLanguage(readUInt16BE(buffer, atom.dataOffset + 32)),
     };
   }
 }
 
+/**
+ * Decode a packed ISO-639-2/T language code (three 5-bit letters)
+ * Returns null for QuickTime Macintosh language codes.
+ */
+function decodeLanguage(packed) {
+  if (packed < 0x400) return null;
+  return String.fromCharCode(
+    ((packed >> 10) & 0x1f) + 0x60,
+    ((packed >> 5) & 0x1f) + 0x60,
+    (packed & 0x1f) + 0x60
+  );
+}
+
+/**
+ * Pack a three-letter ISO-639-2/T language code ('und' if missing)
+ */
+function encodeLanguage(language) {
+  if (typeof language !== 'string' || !/^[a-z]{3}$/.test(language)) return 0x55c4;
+  const [a, b, c] = Array.from(language, (char) => char.charCodeAt(0) - 0x60);
+  return (a << 10) | (b << 5) | c;
+}
+
+/**
+ * Parse hdlr (handler reference) atom
+ */
+function parseHdlr(buffer, atom) {
+  let name = sliceArray(buffer, atom.dataOffset + 24, atom.offset + atom.size);
+  // QuickTime writes a counted (Pascal) string, ISO a null-terminated one
+  if (name.length > 0 && name[0] === name.length - 1) {
+    name = name.subarray(1);
+  }
+  const nul = name.indexOf(0);
+  if (nul !== -1) name = name.subarray(0, nul);
+
+  return {
+    handlerType: readString(buffer, atom.dataOffset + 8, 4),
+    name: new TextDecoder().decode(name),
+  };
+}
+
+/**
+ * Parse tkhd (track header) atom
+ */
+function parseTkhd(buffer, atom) {
+  const version = readUInt8(buffer, atom.dataOffset);
+  const flags = (buffer[atom.dataOffset + 1] << 16) | (buffer[atom.dataOffset + 2] << 8) | buffer[atom.dataOffset + 3];
+
+  return {
+    trackId: readUInt32BE(buffer, atom.dataOffset + (version === 1 ? 20 : 12)),
+    enabled: (flags & 0x1) !== 0,
+    inMovie: (flags & 0x2) !== 0,
+    inPreview: (flags & 0x4) !== 0,
+  };
+}
+
+/**
+ * Parse elst (edit list) atom
+ * Segment durations are in the movie timescale, media times in the media timescale.
+ */
+function parseElst(buffer, atom) {
+  const version = readUInt8(buffer, atom.dataOffset);
+  const entryCount = readUInt32BE(buffer, atom.dataOffset + 4);
+  const entries = [];
+  let pos = atom.dataOffset + 8;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (version === 1) {
+      entries.push({
+        segmentDuration: readBigUInt64BE(buffer, pos),
+        // media_time is signed; -1 marks an empty edit
+        mediaTime: readUInt32BE(buffer, pos + 8) === 0xffffffff ? -1 : readBigUInt64BE(buffer, pos + 8),
+        mediaRate: readUInt32BE(buffer, pos + 16) / 0x10000,
+      });
+      pos += 20;
+    } else {
+      entries.push({
+        segmentDuration: readUInt32BE(buffer, pos),
+        mediaTime: readUInt32BE(buffer, pos + 4) | 0,
+        mediaRate: readUInt32BE(buffer, pos + 8) / 0x10000,
+      });
+      pos += 12;
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Parse trex (track extends) atom - per-track defaults for movie fragments
+ */
+function parseTrex(buffer, atom) {
+  return {
+    trackId: readUInt32BE(buffer, atom.dataOffset + 4),
+    sampleDescriptionIndex: readUInt32BE(buffer, atom.dataOffset + 8),
+    sampleDuration: readUInt32BE(buffer, atom.dataOffset + 12),
+    sampleSize: readUInt32BE(buffer, atom.dataOffset + 16),
+  };
+}
+
+/**
+ * Parse tfhd (track fragment header) atom
+ */
+function parseTfhd(buffer, atom) {
+  const flags = readUInt32BE(buffer, atom.dataOffset) & 0xffffff;
+  const header = {
+    trackId: readUInt32BE(buffer, atom.dataOffset + 4),
+    baseDataOffset: null,
+    defaultBaseIsMoof: (flags & 0x020000) !== 0,
+  };
+  let pos = atom.dataOffset + 8;
+
+  if (flags & 0x01) {
+    header.baseDataOffset = readBigUInt64BE(buffer, pos);
+    pos += 8;
+  }
+  if (flags & 0x02) {
+    header.sampleDescriptionIndex = readUInt32BE(buffer, pos);
+    pos += 4;
+  }
+  if (flags & 0x08) {
+    header.sampleDuration = readUInt32BE(buffer, pos);
+    pos += 4;
+  }
+  if (flags & 0x10) {
+    header.sampleSize = readUInt32BE(buffer, pos);
+  }
+
+  return header;
+}
+
+/**
+ * Parse trun (track fragment run) atom
+ * Missing per-sample durations and sizes are left null for the caller to default.
+ */
+function parseTrun(buffer, atom) {
+  const flags = readUInt32BE(buffer, atom.dataOffset) & 0xffffff;
+  const sampleCount = readUInt32BE(buffer, atom.dataOffset + 4);
+  let pos = atom.dataOffset + 8;
+
+  let dataOffset = null;
+  if (flags & 0x01) {
+    dataOffset = readUInt32BE(buffer, pos) | 0;
+    pos += 4;
+  }
+  if (flags & 0x04) pos += 4; // first_sample_flags
+
+  const durations = [];
+  const sizes = [];
+  for (let i = 0; i < sampleCount; i++) {
+    if (flags & 0x100) {
+      durations.push(readUInt32BE(buffer, pos));
+      pos += 4;
+    } else {
+      durations.push(null);
+    }
+    if (flags & 0x200) {
+      sizes.push(readUInt32BE(buffer, pos));
+      pos += 4;
+    } else {
+      sizes.push(null);
+    }
+    if (flags & 0x400) pos += 4; // sample_flags
+    if (flags & 0x800) pos += 4; // sample_composition_time_offset
+  }
+
+  return { dataOffset, durations, sizes };
+}
+
 /**
  * Build sample map from stsc entries
  */
@@ -298,24 +819,78 @@ function buildChunkSampleMap(stscEntries, totalChunks) {
 }
 
 /**
- * Extract raw audio data for a track
+ * Total size of a track's samples in bytes
+ */
+function sampleDataSize(sampleSizes) {
+  if (sampleSizes.sizes) {
+    return sampleSizes.sizes.reduce((sum, size) => sum + size, 0);
+  }
+  return sampleSizes.sampleCount * sampleSizes.defaultSize;
+}
+
+/**
+ * Run a step generator to completion and return its result
+ */
+function runSteps(steps) {
+  let step = steps.next();
+  while (!step.done) {
+    step = steps.next();
+  }
+  return step.value;
+}
+
+/**
+ * Run a step generator, giving the event loop a turn every YIELD_INTERVAL_MS
+ *
+ * Each yielded value is a number of sample bytes copied; `progress` carries
+ * `{ loaded, total }` across calls so several tracks report as one job.
+ */
+async function runStepsAsync(steps, progress, { signal, onProgress }) {
+  let lastYield = performance.now();
+
+  for (;;) {
+    signal?.throwIfAborted();
+
+    const step = steps.next();
+    if (step.done) return step.value;
+    progress.loaded += step.value;
+
+    if (performance.now() - lastYield >= YIELD_INTERVAL_MS) {
+      onProgress?.({ loaded: progress.loaded, total: progress.total });
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      lastYield = performance.now();
+    }
+  }
+}
+
+/**
+ * Return the ArrayBuffer behind a Uint8Array, copying only if it is a view
  */
-function extractAudioData(fileBuffer, sampleTable) {
+function toArrayBuffer(data) {
+  if (data.byteOffset === 0 && data.byteLength === data.buffer.byteLength) {
+    return data.buffer;
+  }
+  return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+}
+
+/**
+ * Extract raw audio data for a track, one chunk per step (see runSteps)
+ * Yields the sample bytes copied per chunk and returns the audio data.
+ * With `adtsConfig` (from readAdtsConfig), each access unit gets an ADTS header.
+ */
+function* extractAudioDataSteps(fileBuffer, sampleTable, adtsConfig = null) {
   const { chunkOffsets, sampleSizes, stscEntries } = sampleTable;
   const chunkMap = buildChunkSampleMap(stscEntries, chunkOffsets.length);
+  const headerSize = adtsConfig ? 7 : 0;
 
-  let totalSize = 0;
-  if (sampleSizes.sizes) {
-    totalSize = sampleSizes.sizes.reduce((sum, size) => sum + size, 0);
-  } else {
-    totalSize = sampleSizes.sampleCount * sampleSizes.defaultSize;
-  }
+  const totalSize = sampleDataSize(sampleSizes) + sampleSizes.sampleCount * headerSize;
 
   const audioData = new Uint8Array(totalSize);
   let writeOffset = 0;
 
   for (const chunk of chunkMap) {
     let readOffset = chunkOffsets[chunk.chunkIndex];
+    const chunkStart = readOffset;
 
     for (let i = 0; i < chunk.sampleCount; i++) {
       const sampleIndex = chunk.sampleStart + i;
@@ -323,6 +898,11 @@ function extractAudioData(fileBuffer, sampleTable) {
         ? sampleSizes.sizes[sampleIndex]
         : sampleSizes.defaultSize;
 
+      if (adtsConfig) {
+        writeAdtsHeader(audioData, writeOffset, adtsConfig, sampleSize);
+        writeOffset += headerSize;
+      }
+
       audioData.set(
         fileBuffer.subarray(readOffset, readOffset + sampleSize),
         writeOffset
@@ -330,38 +910,87 @@ function extractAudioData(fileBuffer, sampleTable) {
       writeOffset += sampleSize;
       readOffset += sampleSize;
     }
+
+    yield readOffset - chunkStart;
   }
 
   return audioData;
 }
 
+/**
+ * Collect views of every sample (access unit) of a track in decode order
+ */
+function collectSamples(fileBuffer, sampleTable) {
+  const { chunkOffsets, sampleSizes, stscEntries } = sampleTable;
+  const chunkMap = buildChunkSampleMap(stscEntries, chunkOffsets.length);
+  const samples = [];
+
+  for (const chunk of chunkMap) {
+    let readOffset = chunkOffsets[chunk.chunkIndex];
+
+    for (let i = 0; i < chunk.sampleCount; i++) {
+      const sampleIndex = chunk.sampleStart + i;
+      if (sampleIndex >= sampleSizes.sampleCount) break;
+
+      const sampleSize = sampleSizes.sizes
+        ? sampleSizes.sizes[sampleIndex]
+        : sampleSizes.defaultSize;
+
+      samples.push(fileBuffer.subarray(readOffset, readOffset + sampleSize));
+      readOffset += sampleSize;
+    }
+  }
+
+  return samples;
+}
+
 /**
  * Create a minimal MP4 atom
  */
 function createAtom(type, data) {
-  const size = 8 + data.length;
+  if (8 + data.length > 0xffffffff) {
+    // 64-bit largesize header
+    const header = new Uint8Array(16);
+    writeUInt32BE(header, 1, 0);
+    writeString(header, type, 4);
+    writeBigUInt64BE(header, 16 + data.length, 8);
+    return concatArrays(header, data);
+  }
+
   const header = new Uint8Array(8);
-  writeUInt32BE(header, size, 0);
+  writeUInt32BE(header, 8 + data.length, 0);
   writeString(header, type, 4);
   return concatArrays(header, data);
 }
 
 /**
- * Build a minimal playable M4A file from extracted track data
+ * Create a ---- (freeform) ilst item holding UTF-8 text
  */
-function buildM4aFile(trackInfo) {
-  const { audioData, stsd, sampleSizes, sttsEntries, mdhd } = trackInfo;
-
-  // Build ftyp
-  const ftypData = new Uint8Array([
-    0x4d, 0x34, 0x41, 0x20,
-    0x00, 0x00, 0x00, 0x00,
-    0x4d, 0x34, 0x41, 0x20,
-    0x6d, 0x70, 0x34, 0x32,
-    0x69, 0x73, 0x6f, 0x6d,
-  ]);
-  const ftyp = createAtom('ftyp', ftypData);
+function createFreeformAtom(namespace, name, text) {
+  const meanData = new Uint8Array(4 + namespace.length);
+  writeString(meanData, namespace, 4);
+  const nameData = new Uint8Array(4 + name.length);
+  writeString(nameData, name, 4);
+
+  const textBytes = new TextEncoder().encode(text);
+  const dataData = new Uint8Array(8 + textBytes.length);
+  writeUInt32BE(dataData, 1, 0); // Type: UTF-8 text
+  dataData.set(textBytes, 8);
+
+  return createAtom(
+    '----',
+    concatArrays(createAtom('mean', meanData), createAtom('name', nameData), createAtom('data', dataData))
+  );
+}
 
+/**
+ * Build the stts/stsc/stsz/stco atoms for samples stored as a single chunk
+ * The chunk offset is a placeholder (0) that the caller patches; it is last.
+ * `offsetType` selects 32-bit stco or 64-bit co64 chunk offsets.
+ * `chunks` (`[{ sampleCount, offset }]`) lays the samples out in several
+ * chunks at known offsets instead.
+ */
+function buildSampleTableAtoms(sampleSizes, sttsEntries, offsetType = 'stco', chunks = null) {
   // Build stts
   const sttsData = new Uint8Array(8 + sttsEntries.length * 8);
   writeUInt32BE(sttsData, 0, 0);
@@ -372,13 +1001,24 @@ function buildM4aFile(trackInfo) {
   }
   const stts = createAtom('stts', sttsData);
 
-  // Build stsc
-  const stscData = new Uint8Array(8 + 12);
+  // Build stsc (one entry per run of chunks with the same sample count)
+  if (!chunks) {
+    chunks = sampleSizes.sampleCount > 0 ? [{ sampleCount: sampleSizes.sampleCount, offset: 0 }] : [];
+  }
+  const stscEntries = [];
+  chunks.forEach((chunk, i) => {
+    if (stscEntries.length === 0 || stscEntries[stscEntries.length - 1].samplesPerChunk !== chunk.sampleCount) {
+      stscEntries.push({ firstChunk: i + 1, samplesPerChunk: chunk.sampleCount });
+    }
+  });
+  const stscData = new Uint8Array(8 + stscEntries.length * 12);
   writeUInt32BE(stscData, 0, 0);
-  writeUInt32BE(stscData, 1, 4);
-  writeUInt32BE(stscData, 1, 8);
-  writeUInt32BE(stscData, sampleSizes.sampleCount, 12);
-  writeUInt32BE(stscData, 1, 16);
+  writeUInt32BE(stscData, stscEntries.length, 4);
+  for (let i = 0; i < stscEntries.length; i++) {
+    writeUInt32BE(stscData, stscEntries[i].firstChunk, 8 + i * 12);
+    writeUInt32BE(stscData, stscEntries[i].samplesPerChunk, 8 + i * 12 + 4);
+    writeUInt32BE(stscData, 1, 8 + i * 12 + 8);
+  }
   const stsc = createAtom('stsc', stscData);
 
   // Build stsz
@@ -400,14 +1040,33 @@ function buildM4aFile(trackInfo) {
     stsz = createAtom('stsz', stszData);
   }
 
-  // Build stco placeholder
-  const stcoData = new Uint8Array(12);
+  // Build stco/co64
+  const entrySize = offsetType === 'co64' ? 8 : 4;
+  const stcoData = new Uint8Array(8 + chunks.length * entrySize);
   writeUInt32BE(stcoData, 0, 0);
-  writeUInt32BE(stcoData, 1, 4);
-  const stco = createAtom('stco', stcoData);
+  writeUInt32BE(stcoData, chunks.length, 4);
+  for (let i = 0; i < chunks.length; i++) {
+    if (offsetType === 'co64') {
+      writeBigUInt64BE(stcoData, chunks[i].offset, 8 + i * 8);
+    } else {
+      writeUInt32BE(stcoData, chunks[i].offset, 8 + i * 4);
+    }
+  }
+  const stco = createAtom(offsetType, stcoData);
+
+  return concatArrays(stts, stsc, stsz, stco);
+}
 
+/**
+ * Build a single trak (track ID 1), an audio track unless `media` is given
+ * `sampleTableAtoms` follow stsd inside stbl, so they end the trak.
+ * `media` carries the source hdlr and media header atoms (and video size) for
+ * non-audio tracks. A source `tkhd` atom is reused (flags, alternate group,
+ * volume, matrix) with `trackId` and `duration` patched in.
+ */
+function buildTrak({ stsd, sampleTableAtoms, mdhd, duration, editList, media = null, tkhd = null, trackId = 1 }) {
   // Build stbl
-  const stbl = createAtom('stbl', concatArrays(stsd, stts, stsc, stsz, stco));
+  const stbl = createAtom('stbl', concatArrays(stsd, sampleTableAtoms));
 
   // Build dinf with dref
   const drefData = new Uint8Array([
@@ -429,7 +1088,7 @@ function buildM4aFile(trackInfo) {
   const smhd = createAtom('smhd', smhdData);
 
   // Build minf
-  const minf = createAtom('minf', concatArrays(smhd, dinf, stbl));
+  const minf = createAtom('minf', concatArrays(media ? media.mediaHeader : smhd, dinf, stbl));
 
   // Build hdlr
   const hdlrData = new Uint8Array([
@@ -441,7 +1100,7 @@ function buildM4aFile(trackInfo) {
     0x00, 0x00, 0x00, 0x00,
     0x00,
   ]);
-  const hdlr = createAtom('hdlr', hdlrData);
+  const hdlr = media ? media.hdlr : createAtom('hdlr', hdlrData);
 
   // Build mdhd
   const mdhdData = new Uint8Array(24);
@@ -450,7 +1109,7 @@ function buildM4aFile(trackInfo) {
   writeUInt32BE(mdhdData, 0, 8);
   writeUInt32BE(mdhdData, mdhd.timescale, 12);
   writeUInt32BE(mdhdData, mdhd.duration, 16);
-  writeUInt16BE(mdhdData, 0x55c4, 20);
+  writeUInt16BE(mdhdData, encodeLanguage(mdhd.language), 20);
   writeUInt16BE(mdhdData, 0, 22);
   const mdhdAtom = createAtom('mdhd', mdhdData);
 
@@ -458,45 +1117,230 @@ function buildM4aFile(trackInfo) {
   const mdia = createAtom('mdia', concatArrays(mdhdAtom, hdlr, minf));
 
   // Build tkhd
-  const tkhdData = new Uint8Array(84);
-  tkhdData[0] = 0;
-  tkhdData[1] = 0;
-  tkhdData[2] = 0;
-  tkhdData[3] = 0x07;
-  writeUInt32BE(tkhdData, 1, 12);
-  writeUInt32BE(tkhdData, mdhd.duration, 20);
-  writeUInt32BE(tkhdData, 0x00010000, 76);
-  const tkhd = createAtom('tkhd', tkhdData);
+  let tkhdAtom;
+  if (tkhd) {
+    tkhdAtom = sliceArray(tkhd, 0, tkhd.length);
+    if (readUInt8(tkhdAtom, 8) === 1) {
+      writeUInt32BE(tkhdAtom, trackId, 28);
+      writeBigUInt64BE(tkhdAtom, duration, 36);
+    } else {
+      writeUInt32BE(tkhdAtom, trackId, 20);
+      writeUInt32BE(tkhdAtom, duration, 28);
+    }
+  } else {
+    const tkhdData = new Uint8Array(84);
+    tkhdData[0] = 0;
+    tkhdData[1] = 0;
+    tkhdData[2] = 0;
+    tkhdData[3] = 0x07;
+    writeUInt32BE(tkhdData, trackId, 12);
+    writeUInt32BE(tkhdData, duration, 20);
+    writeUInt32BE(tkhdData, 0x00010000, 76);
+    if (media) {
+      writeUInt32BE(tkhdData, media.width, 76);
+      writeUInt32BE(tkhdData, media.height, 80);
+    }
+    tkhdAtom = createAtom('tkhd', tkhdData);
+  }
+
+  // Build edts
+  let edts = new Uint8Array(0);
+  if (editList) {
+    const elstData = new Uint8Array(8 + editList.length * 12);
+    writeUInt32BE(elstData, 0, 0);
+    writeUInt32BE(elstData, editList.length, 4);
+    for (let i = 0; i < editList.length; i++) {
+      writeUInt32BE(elstData, editList[i].segmentDuration, 8 + i * 12);
+      writeUInt32BE(elstData, editList[i].mediaTime >>> 0, 8 + i * 12 + 4);
+      writeUInt32BE(elstData, Math.round(editList[i].mediaRate * 0x10000), 8 + i * 12 + 8);
+    }
+    edts = createAtom('edts', createAtom('elst', elstData));
+  }
 
   // Build trak
-  const trak = createAtom('trak', concatArrays(tkhd, mdia));
+  return createAtom('trak', concatArrays(tkhdAtom, edts, mdia));
+}
 
-  // Build mvhd
-  const mvhdData = new Uint8Array(100);
-  writeUInt32BE(mvhdData, 0, 0);
-  writeUInt32BE(mvhdData, mdhd.timescale, 12);
-  writeUInt32BE(mvhdData, mdhd.duration, 16);
-  writeUInt32BE(mvhdData, 0x00010000, 20);
-  writeUInt16BE(mvhdData, 0x0100, 24);
-  writeUInt32BE(mvhdData, 0x00010000, 36);
-  writeUInt32BE(mvhdData, 0x00010000, 52);
+/**
+ * Build an M4A ftyp atom
+ */
+function buildFtyp() {
+  const ftypData = new Uint8Array([
+    0x4d, 0x34, 0x41, 0x20,
+    0x00, 0x00, 0x00, 0x00,
+    0x4d, 0x34, 0x41, 0x20,
+    0x6d, 0x70, 0x34, 0x32,
+    0x69, 0x73, 0x6f, 0x6d,
+  ]);
+  return createAtom('ftyp', ftypData);
+}
+
+/**
+ * Build an mvhd atom (a single-track movie unless `nextTrackId` says otherwise)
+ */
+function buildMvhd(timescale, duration, nextTrackId = 2) {
+  const mvhdData = new Uint8Array(100);
+  writeUInt32BE(mvhdData, 0, 0);
+  writeUInt32BE(mvhdData, timescale, 12);
+  writeUInt32BE(mvhdData, duration, 16);
+  writeUInt32BE(mvhdData, 0x00010000, 20);
+  writeUInt16BE(mvhdData, 0x0100, 24);
+  writeUInt32BE(mvhdData, 0x00010000, 36);
+  writeUInt32BE(mvhdData, 0x00010000, 52);
   writeUInt32BE(mvhdData, 0x40000000, 68);
-  writeUInt32BE(mvhdData, 2, 96);
-  const mvhd = createAtom('mvhd', mvhdData);
+  writeUInt32BE(mvhdData, nextTrackId, 96);
+  return createAtom('mvhd', mvhdData);
+}
 
-  // Build moov
-  const moov = createAtom('moov', concatArrays(mvhd, trak));
+/**
+ * Build a minimal playable M4A file from extracted track data
+ * `editList` (in media timescale) and `iTunSMPB` carry the gapless playback info.
+ */
+function buildM4aFile(trackInfo) {
+  const { audioData, stsd, sampleSizes, sttsEntries, mdhd, editList = null, iTunSMPB = null, media = null } = trackInfo;
+
+  // The movie uses the media timescale, so presentation duration is the edited length
+  const presentationDuration = editList
+    ? editList.reduce((sum, edit) => sum + edit.segmentDuration, 0)
+    : mdhd.duration;
+
+  const ftyp = buildFtyp();
+
+  const mvhd = buildMvhd(mdhd.timescale, presentationDuration);
+
+  // Build udta > meta > ilst with the iTunes gapless info
+  let udta = new Uint8Array(0);
+  if (iTunSMPB) {
+    const ilst = createAtom('ilst', createFreeformAtom('com.apple.iTunes', 'iTunSMPB', iTunSMPB));
+    const metaHdlrData = new Uint8Array(25);
+    writeString(metaHdlrData, 'mdir', 8);
+    writeString(metaHdlrData, 'appl', 12);
+    const meta = createAtom('meta', concatArrays(new Uint8Array(4), createAtom('hdlr', metaHdlrData), ilst));
+    udta = createAtom('udta', meta);
+  }
 
   // Build mdat
   const mdat = createAtom('mdat', audioData);
+  const mdatHeaderSize = mdat.length - audioData.length;
+
+  // Build moov, switching to co64 if the audio starts beyond 32-bit offsets
+  const buildMoov = (offsetType) => {
+    const trak = buildTrak({
+      stsd,
+      sampleTableAtoms: buildSampleTableAtoms(sampleSizes, sttsEntries, offsetType),
+      mdhd,
+      duration: presentationDuration,
+      editList,
+      media,
+    });
+    return createAtom('moov', concatArrays(mvhd, trak, udta));
+  };
+
+  let moov = buildMoov('stco');
+  let chunkOffset = ftyp.length + moov.length + mdatHeaderSize;
+  if (chunkOffset > 0xffffffff) {
+    moov = buildMoov('co64');
+    chunkOffset = ftyp.length + moov.length + mdatHeaderSize;
+  }
 
-  // Update chunk offset
-  const chunkOffset = ftyp.length + moov.length + 8;
-  writeUInt32BE(moov, chunkOffset, moov.length - stco.length + 8 + 8);
+  // Update chunk offset (the single stco/co64 entry is the last field of trak)
+  const trakEnd = moov.length - udta.length;
+  if (chunkOffset > 0xffffffff) {
+    writeBigUInt64BE(moov, chunkOffset, trakEnd - 8);
+  } else {
+    writeUInt32BE(moov, chunkOffset, trakEnd - 4);
+  }
 
   return concatArrays(ftyp, moov, mdat);
 }
 
+/**
+ * RFC 6381 codec string for a sample entry (e.g. "mp4a.40.2")
+ */
+function getCodecString(sampleEntry) {
+  if (sampleEntry.format === 'mp4a' && sampleEntry.esds) {
+    const { objectTypeIndication, decoderSpecificInfo: asc } = sampleEntry.esds;
+    let codec = `mp4a.${objectTypeIndication.toString(16)}`;
+    if (objectTypeIndication === 0x40 && asc && asc.length >= 2) {
+      codec += `.${parseAudioSpecificConfig(asc).objectType}`;
+    }
+    return codec;
+  }
+  return sampleEntry.format;
+}
+
+/**
+ * Build an MSE initialization segment (ftyp + moov with mvex) for one track
+ */
+function buildInitSegment({ stsd, mdhd, editList, defaultSampleDuration }) {
+  const ftyp = createAtom('ftyp', concatArrays(
+    new Uint8Array([0x69, 0x73, 0x6f, 0x36, 0x00, 0x00, 0x00, 0x00]), // iso6, version 0
+    new Uint8Array([0x69, 0x73, 0x6f, 0x36, 0x6d, 0x70, 0x34, 0x31, 0x64, 0x61, 0x73, 0x68]) // iso6 mp41 dash
+  ));
+
+  // Samples live in the media segments, so every table is empty
+  const trak = buildTrak({
+    stsd,
+    sampleTableAtoms: buildSampleTableAtoms({ defaultSize: 0, sampleCount: 0, sizes: [] }, []),
+    mdhd: { timescale: mdhd.timescale, duration: 0 },
+    duration: 0,
+    editList,
+  });
+
+  // Build mvex with trex defaults for track 1
+  const trexData = new Uint8Array(24);
+  writeUInt32BE(trexData, 1, 4);
+  writeUInt32BE(trexData, 1, 8);
+  writeUInt32BE(trexData, defaultSampleDuration, 12);
+  const mvex = createAtom('mvex', createAtom('trex', trexData));
+
+  const moov = createAtom('moov', concatArrays(buildMvhd(mdhd.timescale, 0), trak, mvex));
+
+  return concatArrays(ftyp, moov);
+}
+
+/**
+ * Build one MSE media segment (moof + mdat) for track 1
+ */
+function buildMediaSegment(sequenceNumber, baseMediaDecodeTime, samples, durations) {
+  // Build mfhd
+  const mfhdData = new Uint8Array(8);
+  writeUInt32BE(mfhdData, sequenceNumber, 4);
+  const mfhd = createAtom('mfhd', mfhdData);
+
+  // Build tfhd (default-base-is-moof)
+  const tfhdData = new Uint8Array(8);
+  writeUInt32BE(tfhdData, 0x020000, 0);
+  writeUInt32BE(tfhdData, 1, 4);
+  const tfhd = createAtom('tfhd', tfhdData);
+
+  // Build tfdt (version 1, 64-bit decode time)
+  const tfdtData = new Uint8Array(12);
+  writeUInt32BE(tfdtData, 0x01000000, 0);
+  writeUInt32BE(tfdtData, Math.floor(baseMediaDecodeTime / 0x100000000), 4);
+  writeUInt32BE(tfdtData, baseMediaDecodeTime >>> 0, 8);
+  const tfdt = createAtom('tfdt', tfdtData);
+
+  // Build trun with data offset, per-sample duration and size
+  const trunData = new Uint8Array(12 + samples.length * 8);
+  writeUInt32BE(trunData, 0x000301, 0);
+  writeUInt32BE(trunData, samples.length, 4);
+  for (let i = 0; i < samples.length; i++) {
+    writeUInt32BE(trunData, durations[i], 12 + i * 8);
+    writeUInt32BE(trunData, samples[i].length, 12 + i * 8 + 4);
+  }
+  const trun = createAtom('trun', trunData);
+
+  const traf = createAtom('traf', concatArrays(tfhd, tfdt, trun));
+  const moof = createAtom('moof', concatArrays(mfhd, traf));
+
+  // data_offset: from the start of moof to the first sample in mdat
+  const trunOffset = moof.length - trun.length;
+  writeUInt32BE(moof, moof.length + 8, trunOffset + 16);
+
+  return concatArrays(moof, createAtom('mdat', concatArrays(...samples)));
+}
+
 /**
  * Find a trak atom by index
  */
@@ -505,7 +1349,7 @@ function findTrack(buffer, trackIndex) {
   const moov = findAtom(atoms, 'moov');
   if (!moov) return null;
 
-  const moovChildren = parseAtoms(buffer, moov.dataOffset, moov.size - 8);
+  const moovChildren = parseChildAtoms(buffer, moov);
   const traks = moovChildren.filter((a) => a.type === 'trak');
 
   if (trackIndex >= traks.length) return null;
@@ -513,25 +1357,158 @@ function findTrack(buffer, trackIndex) {
   return traks[trackIndex];
 }
 
+/**
+ * Find the movie fragments of a fragmented file
+ * Returns null for progressive files (no moov/mvex). Each moof is
+ * `{ buffer, atom, fileOffset }` so fragments read separately (ranged reads)
+ * resolve to absolute file offsets.
+ */
+function findFragments(buffer) {
+  const atoms = parseAtoms(buffer);
+  const moov = findAtom(atoms, 'moov');
+  if (!moov) return null;
+
+  const moovChildren = parseChildAtoms(buffer, moov);
+  const mvex = findAtom(moovChildren, 'mvex');
+  if (!mvex) return null;
+
+  const trex = parseChildAtoms(buffer, mvex)
+    .filter((a) => a.type === 'trex')
+    .map((a) => parseTrex(buffer, a));
+
+  const moofs = atoms
+    .filter((a) => a.type === 'moof')
+    .map((atom) => ({ buffer, atom, fileOffset: atom.offset }));
+
+  return { trex, moofs };
+}
+
+/**
+ * Read the track_ID from a trak's tkhd
+ */
+function readTrackId(buffer, trak) {
+  const tkhd = findAtom(parseChildAtoms(buffer, trak), 'tkhd');
+  if (!tkhd) throw new Error('No tkhd atom found in trak');
+
+  return parseTkhd(buffer, tkhd).trackId;
+}
+
+/**
+ * Collect every trun of a track across all movie fragments
+ * @returns {Array<{ offset: number, sizes: Array<number>, durations: Array<number> }>} Runs in decode order
+ */
+function parseFragmentRuns(fragments, trackId) {
+  const trex = fragments.trex.find((t) => t.trackId === trackId) || {};
+  const runs = [];
+
+  for (const { buffer, atom: moof, fileOffset } of fragments.moofs) {
+    // Without explicit or moof-relative bases, each traf continues where the previous one ended
+    let previousTrafEnd = fileOffset;
+
+    for (const traf of parseChildAtoms(buffer, moof)) {
+      if (traf.type !== 'traf') continue;
+
+      const trafChildren = parseChildAtoms(buffer, traf);
+      const tfhdAtom = findAtom(trafChildren, 'tfhd');
+      if (!tfhdAtom) throw new Error('No tfhd atom found in traf');
+
+      const tfhd = parseTfhd(buffer, tfhdAtom);
+      let base = previousTrafEnd;
+      if (tfhd.baseDataOffset !== null) {
+        base = tfhd.baseDataOffset;
+      } else if (tfhd.defaultBaseIsMoof) {
+        base = fileOffset;
+      }
+
+      let nextOffset = base;
+      for (const trunAtom of trafChildren) {
+        if (trunAtom.type !== 'trun') continue;
+
+        const trun = parseTrun(buffer, trunAtom);
+        const run = {
+          offset: trun.dataOffset !== null ? base + trun.dataOffset : nextOffset,
+          sizes: trun.sizes.map((size) => size ?? tfhd.sampleSize ?? trex.sampleSize ?? 0),
+          durations: trun.durations.map(
+            (duration) => duration ?? tfhd.sampleDuration ?? trex.sampleDuration ?? 0
+          ),
+        };
+
+        nextOffset = run.offset + run.sizes.reduce((sum, size) => sum + size, 0);
+        if (tfhd.trackId === trackId && run.sizes.length > 0) {
+          runs.push(run);
+        }
+      }
+
+      previousTrafEnd = nextOffset;
+    }
+  }
+
+  return runs;
+}
+
+/**
+ * Append fragment runs to a sample table, one chunk per run
+ */
+function appendFragmentRuns(sampleTable, runs) {
+  const { chunkOffsets, stscEntries, sttsEntries } = sampleTable;
+  const sizes = sampleTable.sampleSizes.sizes
+    || new Array(sampleTable.sampleSizes.sampleCount).fill(sampleTable.sampleSizes.defaultSize);
+
+  for (const run of runs) {
+    chunkOffsets.push(run.offset);
+
+    const lastStsc = stscEntries[stscEntries.length - 1];
+    if (!lastStsc || lastStsc.samplesPerChunk !== run.sizes.length) {
+      stscEntries.push({
+        firstChunk: chunkOffsets.length,
+        samplesPerChunk: run.sizes.length,
+        sampleDescriptionIndex: 1,
+      });
+    }
+
+    for (let i = 0; i < run.sizes.length; i++) {
+      sizes.push(run.sizes[i]);
+
+      const lastStts = sttsEntries[sttsEntries.length - 1];
+      if (lastStts && lastStts.sampleDelta === run.durations[i]) {
+        lastStts.sampleCount++;
+      } else {
+        sttsEntries.push({ sampleCount: 1, sampleDelta: run.durations[i] });
+      }
+    }
+  }
+
+  sampleTable.sampleSizes = { defaultSize: 0, sampleCount: sizes.length, sizes };
+
+  // Fragmented files usually leave the mdhd duration at 0
+  const duration = sttsEntries.reduce((sum, e) => sum + e.sampleCount * e.sampleDelta, 0);
+  if (duration > sampleTable.mdhd.duration) {
+    sampleTable.mdhd = { ...sampleTable.mdhd, duration };
+  }
+
+  return sampleTable;
+}
+
 /**
  * Parse sample table from a trak atom
+ * For fragmented files the samples of every moof/traf/trun are appended.
  */
-function parseSampleTableFromTrak(buffer, trak) {
-  const trakChildren = parseAtoms(buffer, trak.dataOffset, trak.size - 8);
+function parseSampleTableFromTrak(buffer, trak, fragments = findFragments(buffer)) {
+  const trakChildren = parseChildAtoms(buffer, trak);
   const mdia = findAtom(trakChildren, 'mdia');
   if (!mdia) throw new Error('No mdia atom found in trak');
 
-  const mdiaChildren = parseAtoms(buffer, mdia.dataOffset, mdia.size - 8);
+  const mdiaChildren = parseChildAtoms(buffer, mdia);
   const minf = findAtom(mdiaChildren, 'minf');
   const mdhd = findAtom(mdiaChildren, 'mdhd');
   if (!minf) throw new Error('No minf atom found in mdia');
   if (!mdhd) throw new Error('No mdhd atom found in mdia');
 
-  const minfChildren = parseAtoms(buffer, minf.dataOffset, minf.size - 8);
+  const minfChildren = parseChildAtoms(buffer, minf);
   const stbl = findAtom(minfChildren, 'stbl');
   if (!stbl) throw new Error('No stbl atom found in minf');
 
-  const stblChildren = parseAtoms(buffer, stbl.dataOffset, stbl.size - 8);
+  const stblChildren = parseChildAtoms(buffer, stbl);
 
   const stcoAtom = findAtom(stblChildren, 'stco');
   const co64Atom = findAtom(stblChildren, 'co64');
@@ -540,9 +1517,23 @@ function parseSampleTableFromTrak(buffer, trak) {
   const stsdAtom = findAtom(stblChildren, 'stsd');
   const sttsAtom = findAtom(stblChildren, 'stts');
 
+  if (!stsdAtom) throw new Error('No stsd atom found');
+
+  if (fragments) {
+    // Fragmented: moov may hold no samples, or empty tables
+    const sampleTable = {
+      chunkOffsets: stcoAtom ? parseStco(buffer, stcoAtom) : co64Atom ? parseCo64(buffer, co64Atom) : [],
+      sampleSizes: stszAtom ? parseStsz(buffer, stszAtom) : { defaultSize: 0, sampleCount: 0, sizes: [] },
+      stscEntries: stscAtom ? parseStsc(buffer, stscAtom) : [],
+      stsd: parseStsd(buffer, stsdAtom),
+      sttsEntries: sttsAtom ? parseStts(buffer, sttsAtom) : [],
+      mdhd: parseMdhd(buffer, mdhd),
+    };
+    return appendFragmentRuns(sampleTable, parseFragmentRuns(fragments, readTrackId(buffer, trak)));
+  }
+
   if (!stszAtom) throw new Error('No stsz atom found');
   if (!stscAtom) throw new Error('No stsc atom found');
-  if (!stsdAtom) throw new Error('No stsd atom found');
   if (!(stcoAtom || co64Atom)) throw new Error('No stco or co64 atom found');
 
   const chunkOffsets = stcoAtom
@@ -560,21 +1551,203 @@ function parseSampleTableFromTrak(buffer, trak) {
 }
 
 /**
- * Extract a single track as a playable M4A
- * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data (Uint8Array, ArrayBuffer, or Node.js Buffer)
- * @param {number} trackIndex - Track index (0-based)
- * @returns {Uint8Array} Playable M4A file
+ * Read the text payload of a ---- (freeform) item in moov/udta/meta/ilst
  */
-export function extractTrack(data, trackIndex) {
-  const fileBuffer = toUint8Array(data);
+function readFreeformText(buffer, moovChildren, namespace, name) {
+  const udta = findAtom(moovChildren, 'udta');
+  if (!udta) return null;
+
+  const meta = findAtom(parseChildAtoms(buffer, udta), 'meta');
+  if (!meta) return null;
+
+  // meta has 4 bytes of version/flags before its children
+  const ilst = findAtom(parseChildAtoms(buffer, meta, 4), 'ilst');
+  if (!ilst) return null;
+
+  for (const item of parseChildAtoms(buffer, ilst)) {
+    if (item.type !== '----') continue;
+
+    const children = parseChildAtoms(buffer, item);
+    const mean = findAtom(children, 'mean');
+    const nameAtom = findAtom(children, 'name');
+    const data = findAtom(children, 'data');
+    if (!mean || !nameAtom || !data) continue;
+
+    if (
+      readString(buffer, mean.dataOffset + 4, mean.size - 12) === namespace &&
+      readString(buffer, nameAtom.dataOffset + 4, nameAtom.size - 12) === name
+    ) {
+      return new TextDecoder().decode(sliceArray(buffer, data.dataOffset + 8, data.offset + data.size));
+    }
+  }
 
-  const trak = findTrack(fileBuffer, trackIndex);
-  if (!trak) {
-    throw new Error(`Track ${trackIndex} not found in file`);
+  return null;
+}
+
+/**
+ * Read the mvhd timescale (null if there is no mvhd)
+ */
+function readMovieTimescale(buffer, moovChildren) {
+  const mvhd = findAtom(moovChildren, 'mvhd');
+  if (!mvhd) return null;
+  return readUInt32BE(buffer, mvhd.dataOffset + (readUInt8(buffer, mvhd.dataOffset) === 1 ? 20 : 12));
+}
+
+/**
+ * Format an iTunSMPB gapless value (delay, padding and valid sample count in hex)
+ */
+function formatITunSMPB(encoderDelay, padding, validSamples) {
+  const hex = (value, width) => value.toString(16).toUpperCase().padStart(width, '0');
+  return [
+    '',
+    '00000000',
+    hex(encoderDelay, 8),
+    hex(padding, 8),
+    hex(validSamples, 16),
+    ...new Array(8).fill('00000000'),
+  ].join(' ');
+}
+
+/**
+ * Work out the edit list and iTunSMPB to carry into an extracted track
+ *
+ * The source track's elst and the file's iTunSMPB are kept as-is. When either
+ * is missing it is derived from the other, or from the kara atom's
+ * `audio.encoder_delay_samples`. Gapless info is audio-only: other tracks keep
+ * their own edit list and get no iTunSMPB.
+ *
+ * @returns {{ editList: Array|null, iTunSMPB: string|null }}
+ */
+function readGaplessInfo(buffer, trak, sampleTable) {
+  const { mdhd, sttsEntries, sampleSizes } = sampleTable;
+  const moov = findAtom(parseAtoms(buffer), 'moov');
+  const moovChildren = parseChildAtoms(buffer, moov);
+
+  // Source edit list, converted from the movie timescale to the media timescale
+  let editList = null;
+  const edts = findAtom(parseChildAtoms(buffer, trak), 'edts');
+  const elst = edts && findAtom(parseChildAtoms(buffer, edts), 'elst');
+  if (elst) {
+    const movieTimescale = readMovieTimescale(buffer, moovChildren) || mdhd.timescale;
+    editList = parseElst(buffer, elst).map((edit) => ({
+      ...edit,
+      segmentDuration: Math.round((edit.segmentDuration * mdhd.timescale) / movieTimescale),
+    }));
   }
 
-  const sampleTable = parseSampleTableFromTrak(fileBuffer, trak);
-  const audioData = extractAudioData(fileBuffer, sampleTable);
+  if (readTrackMedia(buffer, trak).type !== 'audio') {
+    return { editList, iTunSMPB: null };
+  }
+
+  let iTunSMPB = readFreeformText(buffer, moovChildren, 'com.apple.iTunes', 'iTunSMPB');
+  if (editList && iTunSMPB) {
+    return { editList, iTunSMPB };
+  }
+
+  // Priming samples: first non-empty edit, then iTunSMPB, then the kara atom
+  const smpbFields = iTunSMPB ? iTunSMPB.trim().split(/\s+/) : null;
+  const firstEdit = editList && editList.find((edit) => edit.mediaTime >= 0);
+  let encoderDelay = firstEdit ? firstEdit.mediaTime : null;
+  if (encoderDelay === null && smpbFields) {
+    encoderDelay = parseInt(smpbFields[1], 16);
+  }
+  if (encoderDelay === null) {
+    try {
+      const kara = JSON.parse(readFreeformText(buffer, moovChildren, 'com.stems', 'kara'));
+      if (Number.isInteger(kara?.audio?.encoder_delay_samples)) {
+        encoderDelay = kara.audio.encoder_delay_samples;
+      }
+    } catch {
+      // No usable kara atom
+    }
+  }
+
+  if (encoderDelay === null) {
+    return { editList, iTunSMPB };
+  }
+
+  const mediaDuration = sttsEntries.reduce((sum, e) => sum + e.sampleCount * e.sampleDelta, 0);
+  let validSamples = Math.max(0, mediaDuration - encoderDelay);
+  if (editList) {
+    validSamples = editList
+      .filter((edit) => edit.mediaTime >= 0)
+      .reduce((sum, edit) => sum + edit.segmentDuration, 0);
+  } else if (smpbFields) {
+    validSamples = parseInt(smpbFields[3], 16);
+  }
+
+  if (!editList) {
+    editList = [{ segmentDuration: validSamples, mediaTime: encoderDelay, mediaRate: 1 }];
+  }
+  if (!iTunSMPB) {
+    // Padding fills the last access unit up to a whole frame
+    const frameLength = sttsEntries[0]?.sampleDelta || 1024;
+    const padding = Math.max(0, sampleSizes.sampleCount * frameLength - encoderDelay - validSamples);
+    iTunSMPB = formatITunSMPB(encoderDelay, padding, validSamples);
+  }
+
+  return { editList, iTunSMPB };
+}
+
+/**
+ * Classify a hdlr handler type as 'audio', 'text', 'video' or 'other'
+ */
+function classifyHandler(handlerType) {
+  return TRACK_TYPES[handlerType] || 'other';
+}
+
+/**
+ * Read the handler of a track, with the atoms needed to rebuild a non-audio trak
+ * (or any trak, with `includeAudio`)
+ * @returns {{ handlerType: string|null, type: string, media: Object|null }} `media` is null for audio
+ */
+function readTrackMedia(buffer, trak, includeAudio = false) {
+  const trakChildren = parseChildAtoms(buffer, trak);
+  const mdia = findAtom(trakChildren, 'mdia');
+  const mdiaChildren = mdia ? parseChildAtoms(buffer, mdia) : [];
+  const hdlr = findAtom(mdiaChildren, 'hdlr');
+  const handlerType = hdlr ? parseHdlr(buffer, hdlr).handlerType : null;
+  const type = classifyHandler(handlerType);
+
+  if (!hdlr || (type === 'audio' && !includeAudio)) {
+    return { handlerType, type, media: null };
+  }
+
+  // Media header: smhd (audio), vmhd (video), sthd (subtitle), gmhd (QuickTime text) or nmhd
+  const minf = findAtom(mdiaChildren, 'minf');
+  const mediaHeader = minf
+    ? parseChildAtoms(buffer, minf).find((a) => ['smhd', 'vmhd', 'sthd', 'gmhd', 'nmhd', 'hmhd'].includes(a.type))
+    : null;
+
+  const tkhd = findAtom(trakChildren, 'tkhd');
+  const sizeOffset = tkhd ? tkhd.dataOffset + (readUInt8(buffer, tkhd.dataOffset) === 1 ? 88 : 76) : 0;
+
+  return {
+    handlerType,
+    type,
+    media: {
+      hdlr: sliceArray(buffer, hdlr.offset, hdlr.offset + hdlr.size),
+      mediaHeader: mediaHeader
+        ? sliceArray(buffer, mediaHeader.offset, mediaHeader.offset + mediaHeader.size)
+        : createAtom('nmhd', new Uint8Array(4)),
+      width: tkhd ? readUInt32BE(buffer, sizeOffset) : 0,
+      height: tkhd ? readUInt32BE(buffer, sizeOffset + 4) : 0,
+    },
+  };
+}
+
+/**
+ * Rebuild one trak of the file as a standalone MP4
+ */
+function buildTrackFile(buffer, trak) {
+  return runSteps(buildTrackFileSteps(buffer, trak, parseSampleTableFromTrak(buffer, trak)));
+}
+
+/**
+ * Step generator behind buildTrackFile (see extractAudioDataSteps)
+ */
+function* buildTrackFileSteps(buffer, trak, sampleTable) {
+  const audioData = yield* extractAudioDataSteps(buffer, sampleTable);
 
   return buildM4aFile({
     audioData,
@@ -582,107 +1755,1581 @@ export function extractTrack(data, trackIndex) {
     sampleSizes: sampleTable.sampleSizes,
     sttsEntries: sampleTable.sttsEntries,
     mdhd: sampleTable.mdhd,
+    media: readTrackMedia(buffer, trak).media,
+    ...readGaplessInfo(buffer, trak, sampleTable),
   });
 }
 
 /**
- * Extract all audio tracks as playable M4A files
- * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data (Uint8Array, ArrayBuffer, or Node.js Buffer)
- * @returns {Array<Uint8Array>} Array of playable M4A files
+ * Read the NI Stems JSON from moov/udta/stem
  */
-export function extractAllTracks(data) {
-  const fileBuffer = toUint8Array(data);
+function readStemJson(buffer, moovChildren) {
+  const udta = findAtom(moovChildren, 'udta');
+  if (!udta) return null;
 
-  const atoms = parseAtoms(fileBuffer);
-  const moov = findAtom(atoms, 'moov');
-  if (!moov) throw new Error('No moov atom found');
+  const stem = findAtom(parseChildAtoms(buffer, udta), 'stem');
+  if (!stem) return null;
 
-  const moovChildren = parseAtoms(fileBuffer, moov.dataOffset, moov.size - 8);
-  const traks = moovChildren.filter((a) => a.type === 'trak');
+  try {
+    return JSON.parse(new TextDecoder().decode(sliceArray(buffer, stem.dataOffset, stem.offset + stem.size)));
+  } catch {
+    return null;
+  }
+}
 
-  const tracks = [];
-  for (let i = 0; i < traks.length; i++) {
-    try {
-      const sampleTable = parseSampleTableFromTrak(fileBuffer, traks[i]);
+/**
+ * Resolve a stem role (e.g. 'vocals') to a track index
+ * Tries the kara atom's audio.sources, then the NI stem atom (stem i is track i + 1),
+ * then the NI default order.
+ * @returns {{ trackIndex: number, rule: string }}
+ */
+function resolveStemTrack(buffer, role) {
+  const moov = findAtom(parseAtoms(buffer), 'moov');
+  if (!moov) throw new Error('No moov atom found');
 
-      if (sampleTable.sampleSizes.sampleCount < 100) {
-        continue;
-      }
+  const moovChildren = parseChildAtoms(buffer, moov);
+  const trackCount = moovChildren.filter((a) => a.type === 'trak').length;
+  const wanted = String(role).toLowerCase();
+  const matches = (name) => {
+    const candidate = String(name).toLowerCase();
+    return candidate === wanted || (MASTER_ROLES.includes(candidate) && MASTER_ROLES.includes(wanted));
+  };
 
-      const audioData = extractAudioData(fileBuffer, sampleTable);
-      const trackBuffer = buildM4aFile({
-        audioData,
-        stsd: sampleTable.stsd,
-        sampleSizes: sampleTable.sampleSizes,
-        sttsEntries: sampleTable.sttsEntries,
-        mdhd: sampleTable.mdhd,
-      });
-      tracks.push(trackBuffer);
-    } catch (err) {
-      console.warn(`Skipping track ${i}: ${err.message}`);
+  let kara = null;
+  try {
+    kara = JSON.parse(readFreeformText(buffer, moovChildren, 'com.stems', 'kara'));
+  } catch {
+    // No usable kara atom
+  }
+  const sources = Array.isArray(kara?.audio?.sources) ? kara.audio.sources : [];
+  const source = sources.find((s) => Number.isInteger(s.track) && (matches(s.role ?? '') || matches(s.id ?? '')));
+  if (source) {
+    return { trackIndex: source.track, rule: 'kara' };
+  }
+
+  const stems = readStemJson(buffer, moovChildren)?.stems;
+  if (Array.isArray(stems) && stems.length > 0) {
+    if (MASTER_ROLES.includes(wanted)) {
+      return { trackIndex: 0, rule: 'stem' };
+    }
+    const stemIndex = stems.findIndex((stem) => stem && matches(stem.name ?? ''));
+    if (stemIndex !== -1) {
+      return { trackIndex: stemIndex + 1, rule: 'stem' };
     }
   }
 
-  return tracks;
+  const defaultIndex = NI_DEFAULT_ROLES.findIndex(matches);
+  if (defaultIndex !== -1 && defaultIndex < trackCount) {
+    return { trackIndex: defaultIndex, rule: 'default' };
+  }
+
+  throw new Error(`No track found for stem role "${role}"`);
 }
 
 /**
- * Get track count
+ * Extract a single track as a playable M4A, or as a raw ADTS stream
+ *
+ * `format: 'adts'` wraps every AAC access unit in an ADTS header (a `.aac`
+ * file). ADTS has no edit list, so encoder delay and padding are not trimmed.
+ * Non-AAC tracks (e.g. ALAC) are rejected.
+ *
  * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data (Uint8Array, ArrayBuffer, or Node.js Buffer)
- * @returns {number} Number of tracks
+ * @param {number} trackIndex - Track index (0-based)
+ * @param {Object} [options]
+ * @param {'m4a'|'adts'} [options.format='m4a'] - Output format
+ * @returns {Uint8Array} Playable M4A file or ADTS stream
  */
-export function getTrackCount(data) {
-  const fileBuffer = toUint8Array(data);
+export function extractTrack(data, trackIndex, options = {}) {
+  const { format = 'm4a' } = options;
+  return runSteps(prepareTrack(toUint8Array(data), trackIndex, format).steps);
+}
 
-  const atoms = parseAtoms(fileBuffer);
-  const moov = findAtom(atoms, 'moov');
-  if (!moov) throw new Error('No moov atom found');
+/**
+ * Find a track and set up the step generator that extracts it in `format`
+ * @returns {{ sampleTable: Object, steps: Generator }}
+ */
+function prepareTrack(fileBuffer, trackIndex, format) {
+  const trak = findTrack(fileBuffer, trackIndex);
+  if (!trak) {
+    throw new Error(`Track ${trackIndex} not found in file`);
+  }
 
-  const moovChildren = parseAtoms(fileBuffer, moov.dataOffset, moov.size - 8);
-  const traks = moovChildren.filter((a) => a.type === 'trak');
+  if (format !== 'm4a' && format !== 'adts') {
+    throw new Error(`Unknown output format "${format}"`);
+  }
 
-  return traks.length;
+  const sampleTable = parseSampleTableFromTrak(fileBuffer, trak);
+  const steps =
+    format === 'adts'
+      ? extractAudioDataSteps(fileBuffer, sampleTable, readAdtsConfig(parseSampleEntry(sampleTable.stsd)))
+      : buildTrackFileSteps(fileBuffer, trak, sampleTable);
+
+  return { sampleTable, steps };
 }
 
 /**
- * Get information about all tracks
+ * Extract a stem by role name instead of track index
+ *
+ * The role is resolved from the kara atom's `audio.sources` (`rule: 'kara'`),
+ * then the NI `moov/udta/stem` JSON (`rule: 'stem'`), then the NI default order
+ * mixdown, drums, bass, other, vocals (`rule: 'default'`). 'master' and 'mix'
+ * are accepted for the mixdown.
+ *
  * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data (Uint8Array, ArrayBuffer, or Node.js Buffer)
- * @returns {Array} Array of track info objects
+ * @param {string} role - Stem role, e.g. 'vocals' (case-insensitive)
+ * @param {Object} [options] - Output options, as for extractTrack
+ * @returns {{ data: Uint8Array, trackIndex: number, rule: 'kara'|'stem'|'default' }} Playable M4A (or ADTS) and how the role was resolved
  */
-export function getTrackInfo(data) {
+export function extractStem(data, role, options = {}) {
   const fileBuffer = toUint8Array(data);
+  const { trackIndex, rule } = resolveStemTrack(fileBuffer, role);
 
-  const atoms = parseAtoms(fileBuffer);
-  const moov = findAtom(atoms, 'moov');
-  if (!moov) throw new Error('No moov atom found');
+  return {
+    data: extractTrack(fileBuffer, trackIndex, options),
+    trackIndex,
+    rule,
+  };
+}
 
-  const moovChildren = parseAtoms(fileBuffer, moov.dataOffset, moov.size - 8);
-  const traks = moovChildren.filter((a) => a.type === 'trak');
+/**
+ * Extract a time range of a single track as a playable M4A
+ *
+ * Times are presentation times in seconds (priming samples excluded, so they
+ * line up with lyric timing). The range is widened to whole AAC frames; one
+ * extra frame before the range is kept as decoder pre-roll and hidden by the
+ * edit list, so the output plays from exactly the returned `start`.
+ * Throws for non-audio tracks (e.g. tx3g lyrics).
+ *
+ * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data (Uint8Array, ArrayBuffer, or Node.js Buffer)
+ * @param {number} trackIndex - Track index (0-based)
+ * @param {number} startTime - Range start in seconds
+ * @param {number} endTime - Range end in seconds
+ * @returns {{ data: Uint8Array, start: number, end: number }} Playable M4A and the range actually kept (seconds)
+ */
+export function extractTrackRange(data, trackIndex, startTime, endTime) {
+  const fileBuffer = toUint8Array(data);
 
-  const trackInfo = [];
-  for (let i = 0; i < traks.length; i++) {
-    try {
-      const sampleTable = parseSampleTableFromTrak(fileBuffer, traks[i]);
-      trackInfo.push({
-        index: i,
-        sampleCount: sampleTable.sampleSizes.sampleCount,
-        duration: sampleTable.mdhd.duration / sampleTable.mdhd.timescale,
-        timescale: sampleTable.mdhd.timescale,
-      });
-    } catch (err) {
-      trackInfo.push({
-        index: i,
-        error: err.message,
-      });
-    }
+  if (!(startTime >= 0) || !(endTime > startTime)) {
+    throw new Error(`Invalid time range ${startTime}-${endTime}`);
   }
 
-  return trackInfo;
+  const trak = findTrack(fileBuffer, trackIndex);
+  if (!trak) {
+    throw new Error(`Track ${trackIndex} not found in file`);
+  }
+
+  // The output is an audio trak with gapless info, so other tracks cannot be cut
+  const { handlerType, type } = readTrackMedia(fileBuffer, trak);
+  if (type !== 'audio') {
+    throw new Error(`Track ${trackIndex} is not an audio track (handler ${handlerType})`);
+  }
+
+  const sampleTable = parseSampleTableFromTrak(fileBuffer, trak);
+  const { timescale } = sampleTable.mdhd;
+  const samples = collectSamples(fileBuffer, sampleTable);
+
+  // Media time at which each sample starts (last entry is the end of the track)
+  const sampleTimes = [0];
+  for (const entry of sampleTable.sttsEntries) {
+    for (let i = 0; i < entry.sampleCount && sampleTimes.length <= samples.length; i++) {
+      sampleTimes.push(sampleTimes[sampleTimes.length - 1] + entry.sampleDelta);
+    }
+  }
+  const mediaDuration = sampleTimes[sampleTimes.length - 1];
+
+  // Presentation starts after the priming samples and ends at the edited length
+  const { editList } = readGaplessInfo(fileBuffer, trak, sampleTable);
+  const firstEdit = editList && editList.find((edit) => edit.mediaTime >= 0);
+  const encoderDelay = firstEdit ? firstEdit.mediaTime : 0;
+  const presentationEnd = firstEdit
+    ? Math.min(encoderDelay + firstEdit.segmentDuration, mediaDuration)
+    : mediaDuration;
+
+  const rangeStart = Math.round(startTime * timescale) + encoderDelay;
+  const rangeEnd = Math.min(Math.round(endTime * timescale) + encoderDelay, presentationEnd);
+  if (rangeStart >= rangeEnd) {
+    throw new Error(`Time range ${startTime}-${endTime} is outside the track`);
+  }
+
+  // Snap outwards to the frames containing the range
+  let first = 0;
+  while (first < samples.length - 1 && sampleTimes[first + 1] <= rangeStart) first++;
+  let last = first;
+  while (last < samples.length - 1 && sampleTimes[last + 1] < rangeEnd) last++;
+
+  const keptStart = Math.max(sampleTimes[first], encoderDelay);
+  const keptEnd = Math.min(sampleTimes[last + 1], presentationEnd);
+  const preRoll = first > 0 ? first - 1 : first;
+
+  const sizes = [];
+  const sttsEntries = [];
+  for (let i = preRoll; i <= last; i++) {
+    const delta = sampleTimes[i + 1] - sampleTimes[i];
+    const previous = sttsEntries[sttsEntries.length - 1];
+    if (previous && previous.sampleDelta === delta) {
+      previous.sampleCount++;
+    } else {
+      sttsEntries.push({ sampleCount: 1, sampleDelta: delta });
+    }
+    sizes.push(samples[i].length);
+  }
+
+  const edit = {
+    segmentDuration: keptEnd - keptStart,
+    mediaTime: keptStart - sampleTimes[preRoll],
+    mediaRate: 1,
+  };
+  const padding = sampleTimes[last + 1] - keptEnd;
+
+  const rangeData = buildM4aFile({
+    audioData: concatArrays(...samples.slice(preRoll, last + 1)),
+    stsd: sampleTable.stsd,
+    sampleSizes: { defaultSize: 0, sampleCount: sizes.length, sizes },
+    sttsEntries,
+    mdhd: { timescale, duration: sampleTimes[last + 1] - sampleTimes[preRoll] },
+    editList: [edit],
+    iTunSMPB: formatITunSMPB(edit.mediaTime, padding, edit.segmentDuration),
+  });
+
+  return {
+    data: rangeData,
+    start: (keptStart - encoderDelay) / timescale,
+    end: (keptEnd - encoderDelay) / timescale,
+  };
+}
+
+/**
+ * Split a track into MediaSource (MSE) segments
+ *
+ * Returns an init segment plus `moof`+`mdat` media segments cut at whole
+ * frames once each reaches `segmentDuration`. Every stem of a file gets the
+ * same cut points, so several SourceBuffers stay in sync. Segment times are
+ * presentation times in seconds (the edit list in the init segment hides the
+ * priming samples).
+ *
+ * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data (Uint8Array, ArrayBuffer, or Node.js Buffer)
+ * @param {number} trackIndex - Track index (0-based)
+ * @param {Object} [options]
+ * @param {number} [options.segmentDuration=2] - Target segment length in seconds
+ * @returns {{ mimeType: string, initSegment: Uint8Array, segments: Array<{ data: Uint8Array, start: number, end: number }> }}
+ */
+export function extractTrackSegments(data, trackIndex, options = {}) {
+  const { segmentDuration = 2 } = options;
+  const fileBuffer = toUint8Array(data);
+
+  if (!(segmentDuration > 0)) {
+    throw new Error(`Invalid segment duration ${segmentDuration}`);
+  }
+
+  const trak = findTrack(fileBuffer, trackIndex);
+  if (!trak) {
+    throw new Error(`Track ${trackIndex} not found in file`);
+  }
+
+  const sampleTable = parseSampleTableFromTrak(fileBuffer, trak);
+  const { timescale } = sampleTable.mdhd;
+  const samples = collectSamples(fileBuffer, sampleTable);
+
+  const durations = [];
+  for (const entry of sampleTable.sttsEntries) {
+    for (let i = 0; i < entry.sampleCount; i++) durations.push(entry.sampleDelta);
+  }
+
+  // Keep the priming offset; a zero segment duration means "until the end"
+  const { editList } = readGaplessInfo(fileBuffer, trak, sampleTable);
+  const firstEdit = editList && editList.find((edit) => edit.mediaTime >= 0);
+  const encoderDelay = firstEdit ? firstEdit.mediaTime : 0;
+
+  const initSegment = buildInitSegment({
+    stsd: sampleTable.stsd,
+    mdhd: sampleTable.mdhd,
+    editList: firstEdit ? [{ segmentDuration: 0, mediaTime: encoderDelay, mediaRate: 1 }] : null,
+    defaultSampleDuration: durations[0] || 0,
+  });
+
+  const targetLength = Math.round(segmentDuration * timescale);
+  const toSeconds = (mediaTime) => Math.max(0, mediaTime - encoderDelay) / timescale;
+  const segments = [];
+  let first = 0;
+  let segmentStart = 0;
+
+  while (first < samples.length) {
+    // Cut at the first frame boundary at or past the next multiple of segmentDuration
+    const boundary = encoderDelay + targetLength * (segments.length + 1);
+    let last = first;
+    let segmentEnd = segmentStart + durations[first];
+    while (last + 1 < samples.length && segmentEnd < boundary) {
+      last++;
+      segmentEnd += durations[last];
+    }
+
+    segments.push({
+      data: buildMediaSegment(
+        segments.length + 1,
+        segmentStart,
+        samples.slice(first, last + 1),
+        durations.slice(first, last + 1)
+      ),
+      start: toSeconds(segmentStart),
+      end: toSeconds(segmentEnd),
+    });
+
+    first = last + 1;
+    segmentStart = segmentEnd;
+  }
+
+  return {
+    mimeType: `audio/mp4; codecs="${getCodecString(parseSampleEntry(sampleTable.stsd))}"`,
+    initSegment,
+    segments,
+  };
+}
+
+/**
+ * Extract every track of the given type(s) as standalone files
+ *
+ * Tracks are classified by their `hdlr` handler: 'audio' (soun), 'text'
+ * (text/sbtl), 'video' (vide, e.g. cover art) or 'other'.
+ *
+ * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data (Uint8Array, ArrayBuffer, or Node.js Buffer)
+ * @param {Object} [options]
+ * @param {string|Array<string>|null} [options.type='audio'] - Track type(s) to extract, or null for all
+ * @returns {Array<{ index: number, type: string, data: Uint8Array }>} Extracted tracks with their original track index
+ */
+export function extractAllTracks(data, options = {}) {
+  const { type = 'audio' } = options;
+  const fileBuffer = toUint8Array(data);
+
+  const tracks = [];
+  for (const track of selectTracks(fileBuffer, type)) {
+    try {
+      tracks.push({ index: track.index, type: track.type, data: buildTrackFile(fileBuffer, track.trak) });
+    } catch (err) {
+      console.warn(`Skipping track ${track.index}: ${err.message}`);
+    }
+  }
+
+  return tracks;
+}
+
+/**
+ * List the traks of the given type(s) (null for all) with their index and type
+ */
+function selectTracks(fileBuffer, type) {
+  const types = type === null ? null : [].concat(type);
+
+  const atoms = parseAtoms(fileBuffer);
+  const moov = findAtom(atoms, 'moov');
+  if (!moov) throw new Error('No moov atom found');
+
+  const moovChildren = parseChildAtoms(fileBuffer, moov);
+  const traks = moovChildren.filter((a) => a.type === 'trak');
+
+  const tracks = [];
+  for (let i = 0; i < traks.length; i++) {
+    const trackType = readTrackMedia(fileBuffer, traks[i]).type;
+    if (!types || types.includes(trackType)) {
+      tracks.push({ index: i, type: trackType, trak: traks[i] });
+    }
+  }
+
+  return tracks;
+}
+
+/**
+ * Async version of extractTrack for UI threads and Web Workers
+ *
+ * Copies samples chunk by chunk, giving the event loop a turn every few
+ * milliseconds. Resolves to a transferable ArrayBuffer, e.g.
+ * `postMessage(result, [result])` from a worker.
+ *
+ * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data (Uint8Array, ArrayBuffer, or Node.js Buffer)
+ * @param {number} trackIndex - Track index (0-based)
+ * @param {Object} [options]
+ * @param {'m4a'|'adts'} [options.format='m4a'] - Output format
+ * @param {AbortSignal} [options.signal] - Rejects with `signal.reason` when aborted
+ * @param {Function} [options.onProgress] - Called with `{ loaded, total }` sample bytes
+ * @returns {Promise<ArrayBuffer>} Playable M4A file or ADTS stream
+ */
+export async function extractTrackAsync(data, trackIndex, options = {}) {
+  const { format = 'm4a', signal, onProgress } = options;
+  signal?.throwIfAborted();
+
+  const { sampleTable, steps } = prepareTrack(toUint8Array(data), trackIndex, format);
+  const progress = { loaded: 0, total: sampleDataSize(sampleTable.sampleSizes) };
+  onProgress?.({ ...progress });
+
+  const result = await runStepsAsync(steps, progress, { signal, onProgress });
+  onProgress?.({ ...progress });
+  return toArrayBuffer(result);
+}
+
+/**
+ * Async version of extractStem (see extractTrackAsync)
+ * @returns {Promise<{ data: ArrayBuffer, trackIndex: number, rule: 'kara'|'stem'|'default' }>}
+ */
+export async function extractStemAsync(data, role, options = {}) {
+  const fileBuffer = toUint8Array(data);
+  const { trackIndex, rule } = resolveStemTrack(fileBuffer, role);
+
+  return {
+    data: await extractTrackAsync(fileBuffer, trackIndex, options),
+    trackIndex,
+    rule,
+  };
+}
+
+/**
+ * Async version of extractAllTracks (see extractTrackAsync)
+ *
+ * Progress covers all selected tracks together. Tracks that fail to parse are
+ * skipped, as in extractAllTracks.
+ *
+ * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data (Uint8Array, ArrayBuffer, or Node.js Buffer)
+ * @param {Object} [options]
+ * @param {string|Array<string>|null} [options.type='audio'] - Track type(s) to extract, or null for all
+ * @param {AbortSignal} [options.signal] - Rejects with `signal.reason` when aborted
+ * @param {Function} [options.onProgress] - Called with `{ loaded, total }` sample bytes
+ * @returns {Promise<Array<{ index: number, type: string, data: ArrayBuffer }>>} Extracted tracks with their original track index
+ */
+export async function extractAllTracksAsync(data, options = {}) {
+  const { type = 'audio', signal, onProgress } = options;
+  signal?.throwIfAborted();
+  const fileBuffer = toUint8Array(data);
+
+  const selected = [];
+  for (const track of selectTracks(fileBuffer, type)) {
+    try {
+      selected.push({ ...track, sampleTable: parseSampleTableFromTrak(fileBuffer, track.trak) });
+    } catch (err) {
+      console.warn(`Skipping track ${track.index}: ${err.message}`);
+    }
+  }
+
+  const total = selected.reduce((sum, track) => sum + sampleDataSize(track.sampleTable.sampleSizes), 0);
+  const progress = { loaded: 0, total };
+  onProgress?.({ ...progress });
+
+  const tracks = [];
+  for (const track of selected) {
+    const steps = buildTrackFileSteps(fileBuffer, track.trak, track.sampleTable);
+    const result = await runStepsAsync(steps, progress, { signal, onProgress });
+    tracks.push({ index: track.index, type: track.type, data: toArrayBuffer(result) });
+  }
+
+  onProgress?.({ ...progress });
+  return tracks;
+}
+
+/**
+ * Decode one tx3g (3GPP timed text) sample
+ * Samples are a 16-bit length and the text (UTF-8, or UTF-16 with a BOM),
+ * optionally followed by style modifier boxes, which are ignored.
+ */
+function decodeTextSample(sample) {
+  if (sample.length < 2) return '';
+
+  const length = Math.min(readUInt16BE(sample, 0), sample.length - 2);
+  const text = sample.subarray(2, 2 + length);
+
+  if (text.length >= 2 && text[0] === 0xfe && text[1] === 0xff) {
+    return new TextDecoder('utf-16be').decode(text.subarray(2));
+  }
+  return new TextDecoder().decode(text);
+}
+
+/**
+ * Find the first text track (mov_text/tx3g subtitles)
+ */
+function findTextTrackIndex(buffer) {
+  const moov = findAtom(parseAtoms(buffer), 'moov');
+  if (!moov) throw new Error('No moov atom found');
+
+  const traks = parseChildAtoms(buffer, moov).filter((a) => a.type === 'trak');
+  const index = traks.findIndex((trak) => readTrackMedia(buffer, trak).type === 'text');
+  if (index === -1) throw new Error('No text track found in file');
+  return index;
+}
+
+/**
+ * Read the mov_text (tx3g) subtitle track as timed cues
+ *
+ * Times are the subtitle track's presentation times in seconds (its edit list
+ * applied). Files made by M4AStemsWriter store the lyrics shifted by the AAC
+ * encoder delay, which `offset` can remove. Empty samples (gaps) are skipped.
+ *
+ * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data (Uint8Array, ArrayBuffer, or Node.js Buffer)
+ * @param {Object} [options]
+ * @param {number} [options.trackIndex] - Text track index (default: first text track)
+ * @param {number} [options.offset=0] - Seconds subtracted from every cue time
+ * @returns {Array<{ start: number, end: number, text: string }>} Cues in presentation order
+ */
+export function extractSubtitleCues(data, options = {}) {
+  const fileBuffer = toUint8Array(data);
+  const { trackIndex = findTextTrackIndex(fileBuffer), offset = 0 } = options;
+
+  const trak = findTrack(fileBuffer, trackIndex);
+  if (!trak) {
+    throw new Error(`Track ${trackIndex} not found in file`);
+  }
+
+  const sampleTable = parseSampleTableFromTrak(fileBuffer, trak);
+  const { format } = parseSampleEntry(sampleTable.stsd);
+  if (format !== 'tx3g' && format !== 'text') {
+    throw new Error(`Track ${trackIndex} is not a tx3g text track (format ${format})`);
+  }
+
+  // Media time -> presentation time from the first non-empty edit
+  const { editList } = readGaplessInfo(fileBuffer, trak, sampleTable);
+  let shift = 0;
+  for (const edit of editList || []) {
+    if (edit.mediaTime < 0) {
+      shift += edit.segmentDuration;
+    } else {
+      shift -= edit.mediaTime;
+      break;
+    }
+  }
+
+  const { timescale } = sampleTable.mdhd;
+  const samples = collectSamples(fileBuffer, sampleTable);
+  const cues = [];
+  let sampleIndex = 0;
+  let mediaTime = 0;
+
+  for (const entry of sampleTable.sttsEntries) {
+    for (let i = 0; i < entry.sampleCount && sampleIndex < samples.length; i++, sampleIndex++) {
+      const text = decodeTextSample(samples[sampleIndex]);
+      if (text && entry.sampleDelta > 0) {
+        cues.push({
+          start: Math.max(0, (mediaTime + shift) / timescale - offset),
+          end: Math.max(0, (mediaTime + shift + entry.sampleDelta) / timescale - offset),
+          text,
+        });
+      }
+      mediaTime += entry.sampleDelta;
+    }
+  }
+
+  return cues;
+}
+
+/**
+ * Read the mov_text (tx3g) subtitle track as a WebVTT document
+ * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data (Uint8Array, ArrayBuffer, or Node.js Buffer)
+ * @param {Object} [options] - Same as extractSubtitleCues
+ * @returns {string} WebVTT content
+ */
+export function extractSubtitleWebVTT(data, options = {}) {
+  return generateWebVTT({ lines: extractSubtitleCues(data, options) });
+}
+
+/**
+ * Get track count
+ * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data (Uint8Array, ArrayBuffer, or Node.js Buffer)
+ * @returns {number} Number of tracks
+ */
+export function getTrackCount(data) {
+  const fileBuffer = toUint8Array(data);
+
+  const atoms = parseAtoms(fileBuffer);
+  const moov = findAtom(atoms, 'moov');
+  if (!moov) throw new Error('No moov atom found');
+
+  const moovChildren = parseChildAtoms(fileBuffer, moov);
+  const traks = moovChildren.filter((a) => a.type === 'trak');
+
+  return traks.length;
+}
+
+/**
+ * Read the header, handler and codec details of a track for getTrackInfo
+ */
+function readTrackDetails(buffer, trak, sampleTable) {
+  const trakChildren = parseChildAtoms(buffer, trak);
+  const tkhd = findAtom(trakChildren, 'tkhd');
+  const mdia = findAtom(trakChildren, 'mdia');
+  const hdlr = findAtom(parseChildAtoms(buffer, mdia), 'hdlr');
+  const { trackId, enabled, inMovie, inPreview } = tkhd
+    ? parseTkhd(buffer, tkhd)
+    : { trackId: null, enabled: null, inMovie: null, inPreview: null };
+  const { handlerType, name } = hdlr ? parseHdlr(buffer, hdlr) : { handlerType: null, name: null };
+
+  const sampleEntry = parseSampleEntry(sampleTable.stsd);
+  const details = {
+    trackId,
+    enabled,
+    inMovie,
+    inPreview,
+    type: classifyHandler(handlerType),
+    handlerType,
+    handlerName: name,
+    format: sampleEntry.format,
+    codec: getCodecString(sampleEntry),
+  };
+
+  if (sampleEntry.channelCount !== undefined) {
+    details.channelCount = sampleEntry.channelCount;
+    details.sampleRate = sampleEntry.sampleRate;
+  }
+
+  if (sampleEntry.esds) {
+    const { objectTypeIndication, avgBitrate, maxBitrate, decoderSpecificInfo } = sampleEntry.esds;
+    const { objectType = null, sampleRate = null, channels = null } =
+      objectTypeIndication === 0x40 && decoderSpecificInfo && decoderSpecificInfo.length >= 2
+        ? parseAudioSpecificConfig(decoderSpecificInfo)
+        : {};
+    details.aac = {
+      objectTypeIndication,
+      objectType,
+      sampleRate,
+      channels,
+      avgBitrate,
+      maxBitrate,
+    };
+  }
+
+  if (sampleEntry.alac) {
+    details.alac = sampleEntry.alac;
+  }
+
+  return details;
+}
+
+/**
+ * Get information about all tracks
+ *
+ * Besides sample count and duration, each entry carries the track header
+ * (`trackId`, `enabled`, `inMovie`, `inPreview`), media `language`, `handlerType`/`handlerName`, and the
+ * decoded sample description: `format`, `codec`, `channelCount`, `sampleRate`,
+ * plus `aac` (esds/AudioSpecificConfig) or `alac` (magic cookie) details.
+ *
+ * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data (Uint8Array, ArrayBuffer, or Node.js Buffer)
+ * @returns {Array} Array of track info objects
+ */
+export function getTrackInfo(data) {
+  const fileBuffer = toUint8Array(data);
+
+  const atoms = parseAtoms(fileBuffer);
+  const moov = findAtom(atoms, 'moov');
+  if (!moov) throw new Error('No moov atom found');
+
+  const moovChildren = parseChildAtoms(fileBuffer, moov);
+  const traks = moovChildren.filter((a) => a.type === 'trak');
+
+  const trackInfo = [];
+  for (let i = 0; i < traks.length; i++) {
+    try {
+      const sampleTable = parseSampleTableFromTrak(fileBuffer, traks[i]);
+      trackInfo.push({
+        index: i,
+        sampleCount: sampleTable.sampleSizes.sampleCount,
+        duration: sampleTable.mdhd.duration / sampleTable.mdhd.timescale,
+        timescale: sampleTable.mdhd.timescale,
+        language: sampleTable.mdhd.language,
+        ...readTrackDetails(fileBuffer, traks[i], sampleTable),
+      });
+    } catch (err) {
+      trackInfo.push({
+        index: i,
+        error: err.message,
+      });
+    }
+  }
+
+  return trackInfo;
+}
+
+/**
+ * Get the sample description, sample table and raw samples of a track
+ *
+ * Intended for pure-JS decoders: `sampleEntry.esds.decoderSpecificInfo` holds
+ * the AAC AudioSpecificConfig, and `samples` are views into `data` (no copy).
+ * `encoderDelay` is the priming in media timescale units, from the edit list
+ * (or iTunSMPB / kara `encoder_delay_samples` when there is none), 0 if unknown.
+ *
+ * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data (Uint8Array, ArrayBuffer, or Node.js Buffer)
+ * @param {number} trackIndex - Track index (0-based)
+ * @returns {{ sampleEntry: Object, sampleTable: Object, samples: Array<Uint8Array>, encoderDelay: number }}
+ */
+export function getTrackSamples(data, trackIndex) {
+  const fileBuffer = toUint8Array(data);
+
+  const trak = findTrack(fileBuffer, trackIndex);
+  if (!trak) {
+    throw new Error(`Track ${trackIndex} not found in file`);
+  }
+
+  const sampleTable = parseSampleTableFromTrak(fileBuffer, trak);
+  const { editList } = readGaplessInfo(fileBuffer, trak, sampleTable);
+  const firstEdit = editList && editList.find((edit) => edit.mediaTime >= 0);
+
+  return {
+    sampleEntry: parseSampleEntry(sampleTable.stsd),
+    sampleTable,
+    samples: collectSamples(fileBuffer, sampleTable),
+    encoderDelay: firstEdit ? firstEdit.mediaTime : 0,
+  };
+}
+
+/**
+ * Build a sample-accurate seek index for one track
+ *
+ * The index is built from stts (all entries, so variable frame durations are
+ * handled), stsz, stsc and stco/co64. Times are media times in seconds, as
+ * stored in the file; subtract `presentationOffset` (the encoder delay from
+ * the edit list) to line them up with lyric timing.
+ *
+ * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data (Uint8Array, ArrayBuffer, or Node.js Buffer)
+ * @param {number} trackIndex - Track index (0-based)
+ * @returns {{
+ *   trackIndex: number,
+ *   timescale: number,
+ *   sampleCount: number,
+ *   duration: number,
+ *   presentationOffset: number,
+ *   timeToSample: function(number): number,
+ *   sampleToTime: function(number): number,
+ *   sampleToByteRange: function(number): { offset: number, size: number }
+ * }} Seek index
+ */
+export function buildSeekIndex(data, trackIndex) {
+  const fileBuffer = toUint8Array(data);
+
+  const trak = findTrack(fileBuffer, trackIndex);
+  if (!trak) {
+    throw new Error(`Track ${trackIndex} not found in file`);
+  }
+
+  const sampleTable = parseSampleTableFromTrak(fileBuffer, trak);
+  const { sampleSizes, chunkOffsets, stscEntries, sttsEntries, mdhd } = sampleTable;
+  const { sampleCount } = sampleSizes;
+
+  // stts runs with their first sample and start time (in media ticks)
+  const runs = [];
+  let firstSample = 0;
+  let firstTime = 0;
+  for (const entry of sttsEntries) {
+    if (entry.sampleCount === 0) continue;
+    runs.push({ firstSample, firstTime, sampleCount: entry.sampleCount, sampleDelta: entry.sampleDelta });
+    firstSample += entry.sampleCount;
+    firstTime += entry.sampleCount * entry.sampleDelta;
+  }
+  const totalTicks = firstTime;
+
+  // Byte offset of every sample, from the chunk layout
+  const offsets = new Float64Array(sampleCount);
+  for (const chunk of buildChunkSampleMap(stscEntries, chunkOffsets.length)) {
+    let offset = chunkOffsets[chunk.chunkIndex];
+    for (let i = chunk.sampleStart; i < chunk.sampleStart + chunk.sampleCount && i < sampleCount; i++) {
+      offsets[i] = offset;
+      offset += sampleSizes.sizes ? sampleSizes.sizes[i] : sampleSizes.defaultSize;
+    }
+  }
+
+  const checkSample = (sample) => {
+    if (!Number.isInteger(sample) || sample < 0 || sample >= sampleCount) {
+      throw new Error(`Sample ${sample} out of range (track ${trackIndex} has ${sampleCount} samples)`);
+    }
+  };
+
+  // Last run starting at or before `value` in `key` (binary search)
+  const findRun = (key, value) => {
+    let low = 0;
+    let high = runs.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (runs[mid][key] <= value) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return runs[low];
+  };
+
+  const { editList } = readGaplessInfo(fileBuffer, trak, sampleTable);
+  const firstEdit = editList && editList.find((edit) => edit.mediaTime >= 0);
+
+  return {
+    trackIndex,
+    timescale: mdhd.timescale,
+    sampleCount,
+    duration: totalTicks / mdhd.timescale,
+    presentationOffset: firstEdit ? firstEdit.mediaTime / mdhd.timescale : 0,
+
+    /**
+     * Sample playing at `time` seconds (clamped to the track)
+     */
+    timeToSample(time) {
+      if (sampleCount === 0) {
+        throw new Error(`Track ${trackIndex} has no samples`);
+      }
+      const ticks = Math.min(Math.max(0, Math.floor(time * mdhd.timescale)), Math.max(0, totalTicks - 1));
+
+      // Zero-length runs share their start time with the next run; skip past them
+      const run = findRun('firstTime', ticks);
+      const sample =
+        run.sampleDelta > 0 ? run.firstSample + Math.floor((ticks - run.firstTime) / run.sampleDelta) : run.firstSample;
+      return Math.min(sample, run.firstSample + run.sampleCount - 1, sampleCount - 1);
+    },
+
+    /**
+     * Start time of a sample in seconds
+     */
+    sampleToTime(sample) {
+      checkSample(sample);
+      const run = findRun('firstSample', sample);
+      return (run.firstTime + (sample - run.firstSample) * run.sampleDelta) / mdhd.timescale;
+    },
+
+    /**
+     * File byte range of a sample
+     */
+    sampleToByteRange(sample) {
+      checkSample(sample);
+      return {
+        offset: offsets[sample],
+        size: sampleSizes.sizes ? sampleSizes.sizes[sample] : sampleSizes.defaultSize,
+      };
+    },
+  };
+}
+
+/**
+ * Walk the atoms in [start, end) for verify()
+ * Unlike parseAtoms, bad sizes are recorded as problems instead of silently
+ * ending the walk. Every atom is collected with its path (e.g. `moov/trak/mdia`).
+ */
+function walkAtoms(buffer, start, end, path, atoms, problems) {
+  const parentType = path.slice(path.lastIndexOf('/') + 1);
+  let pos = start;
+
+  while (pos < end) {
+    const remaining = end - pos;
+    if (remaining < 8) {
+      // QuickTime allows a 32-bit zero terminator at the end of a container
+      if (remaining !== 4 || readUInt32BE(buffer, pos) !== 0) {
+        problems.push({
+          type: 'truncated-atom',
+          offset: pos,
+          path: path || '/',
+          message: `${remaining} trailing bytes are too short for an atom header`,
+        });
+      }
+      return;
+    }
+
+    const type = readString(buffer, pos + 4, 4);
+    const atomPath = path ? `${path}/${type}` : type;
+    let size = readUInt32BE(buffer, pos);
+    let headerSize = 8;
+
+    if (size === 1) {
+      if (remaining < 16) {
+        problems.push({
+          type: 'truncated-atom',
+          offset: pos,
+          path: atomPath,
+          message: `${type} has a 64-bit size but only ${remaining} bytes remain`,
+        });
+        return;
+      }
+      size = readBigUInt64BE(buffer, pos + 8);
+      headerSize = 16;
+    } else if (size === 0) {
+      size = remaining;
+    }
+
+    if (size < headerSize) {
+      problems.push({
+        type: 'invalid-atom-size',
+        offset: pos,
+        path: atomPath,
+        message: `${type} declares ${size} bytes, less than its ${headerSize}-byte header`,
+      });
+      return;
+    }
+
+    if (size > remaining) {
+      problems.push({
+        type: 'atom-overflow',
+        offset: pos,
+        path: atomPath,
+        message: `${type} declares ${size} bytes but overflows ${path || 'the file'} by ${size - remaining} bytes`,
+      });
+      return;
+    }
+
+    const atom = { type, offset: pos, size, dataOffset: pos + headerSize, path: atomPath };
+    atoms.push(atom);
+
+    // ilst items (©nam, ----, ...) are containers of data/mean/name atoms
+    const skip = parentType === 'ilst' ? 0 : CONTAINER_ATOMS[type];
+    if (skip !== undefined) {
+      walkAtoms(buffer, atom.dataOffset + skip, pos + size, atomPath, atoms, problems);
+    }
+
+    pos += size;
+  }
+}
+
+/**
+ * Check one track's sample table against the mdat payloads for verify()
+ * Returns the track's chunk ranges for the cross-track overlap check.
+ */
+function verifyTrack(buffer, atoms, trak, trackIndex, mdats, fragments, problems) {
+  const tables = {};
+  for (const atom of atoms) {
+    const inTrak = atom.offset > trak.offset && atom.offset < trak.offset + trak.size;
+    if (inTrak && atom.path.startsWith('moov/trak/mdia/minf/stbl/')) {
+      tables[atom.type] = atom;
+    }
+  }
+
+  // Problems point at `atom`, or at one of its entries when `offset` is given
+  const report = (type, atom, message, offset = atom.offset) => {
+    problems.push({ type, offset, path: atom.path, trackIndex, message });
+  };
+
+  // Entry counts must fit inside their atoms before the tables can be read
+  let truncated = false;
+  for (const [type, [headerSize, entrySize]] of Object.entries(TABLE_LAYOUTS)) {
+    const atom = tables[type];
+    if (!atom) continue;
+    const available = atom.offset + atom.size - atom.dataOffset;
+    const entryCount = available >= headerSize ? readUInt32BE(buffer, atom.dataOffset + 4) : 0;
+    if (available < headerSize || headerSize + entryCount * entrySize > available) {
+      report('table-truncated', atom, `${type} declares ${entryCount} entries in ${available} bytes`);
+      truncated = true;
+    }
+  }
+  if (tables.stsz) {
+    const atom = tables.stsz;
+    const available = atom.offset + atom.size - atom.dataOffset;
+    const defaultSize = available >= 12 ? readUInt32BE(buffer, atom.dataOffset + 4) : 0;
+    const sampleCount = available >= 12 ? readUInt32BE(buffer, atom.dataOffset + 8) : 0;
+    if (available < 12 || (defaultSize === 0 && 12 + sampleCount * 4 > available)) {
+      report('table-truncated', atom, `stsz declares ${sampleCount} samples in ${available} bytes`);
+      truncated = true;
+    }
+  }
+  if (truncated) return [];
+
+  let sampleTable;
+  try {
+    sampleTable = parseSampleTableFromTrak(buffer, trak, fragments);
+  } catch (err) {
+    report('invalid-sample-table', trak, err.message);
+    return [];
+  }
+
+  const { chunkOffsets, sampleSizes, stscEntries, sttsEntries } = sampleTable;
+  const sampleCount = sampleSizes.sampleCount;
+
+  if (!fragments && !tables.stts) {
+    report('missing-atom', tables.stbl || trak, 'No stts atom found');
+  } else {
+    const timedSamples = sttsEntries.reduce((sum, entry) => sum + entry.sampleCount, 0);
+    if (timedSamples !== sampleCount) {
+      const message = `stts times ${timedSamples} samples, stsz has ${sampleCount}`;
+      report('sample-count-mismatch', tables.stts || trak, message);
+    }
+  }
+
+  // stsc must start at chunk 1 and increase, with non-empty chunks
+  const stsc = tables.stsc || trak;
+  for (let i = 0; i < stscEntries.length; i++) {
+    const { firstChunk, samplesPerChunk } = stscEntries[i];
+    const previous = stscEntries[i - 1];
+    const outOfOrder = previous ? firstChunk <= previous.firstChunk : firstChunk !== 1;
+    if (outOfOrder || samplesPerChunk === 0) {
+      const offset = tables.stsc ? tables.stsc.dataOffset + 8 + i * 12 : trak.offset;
+      const message = `stsc entry ${i} (chunk ${firstChunk}, ${samplesPerChunk} samples) is invalid`;
+      report('invalid-stsc', stsc, message, offset);
+      return [];
+    }
+  }
+  if (chunkOffsets.length > 0 && stscEntries.length === 0) {
+    report('invalid-stsc', stsc, `stsc maps no samples to ${chunkOffsets.length} chunks`);
+    return [];
+  }
+
+  const chunkMap = chunkOffsets.length > 0 ? buildChunkSampleMap(stscEntries, chunkOffsets.length) : [];
+  const mappedSamples = chunkMap.reduce((sum, chunk) => sum + chunk.sampleCount, 0);
+  if (mappedSamples !== sampleCount) {
+    report('sample-count-mismatch', tables.stsz || trak, `stsc maps ${mappedSamples} samples, stsz has ${sampleCount}`);
+  }
+
+  // Each chunk must lie inside an mdat payload. Chunks point at their
+  // stco/co64 entry (so it can be patched); fragment runs have none.
+  const offsetTable = tables.stco || tables.co64;
+  const entrySize = tables.stco ? 4 : 8;
+  const tableChunks = offsetTable ? readUInt32BE(buffer, offsetTable.dataOffset + 4) : 0;
+  const fragmentRun = { path: 'moof/traf/trun' };
+  const ranges = [];
+
+  for (const chunk of chunkMap) {
+    let size = 0;
+    const lastSample = Math.min(chunk.sampleStart + chunk.sampleCount, sampleCount);
+    for (let i = chunk.sampleStart; i < lastSample; i++) {
+      size += sampleSizes.sizes ? sampleSizes.sizes[i] : sampleSizes.defaultSize;
+    }
+
+    const offset = chunkOffsets[chunk.chunkIndex];
+    const inTable = chunk.chunkIndex < tableChunks;
+    const range = {
+      offset,
+      size,
+      trackIndex,
+      chunkIndex: chunk.chunkIndex,
+      source: inTable ? offsetTable : fragmentRun,
+      entryOffset: inTable ? offsetTable.dataOffset + 8 + chunk.chunkIndex * entrySize : offset,
+    };
+
+    const mdat = mdats.find((m) => offset >= m.dataOffset && offset < m.offset + m.size);
+    if (!mdat || offset + size > mdat.offset + mdat.size) {
+      const message = `Chunk ${chunk.chunkIndex} (${size} bytes at ${offset}) is not inside an mdat payload`;
+      report('chunk-outside-mdat', range.source, message, range.entryOffset);
+    } else if (size > 0) {
+      ranges.push(range);
+    }
+  }
+
+  return ranges;
+}
+
+/**
+ * Check the structure of an M4A file
+ *
+ * Walks the whole atom tree and checks every track's sample table against the
+ * mdat bounds. All problems are collected rather than throwing on the first,
+ * so a damaged file can be diagnosed (or repaired) in one pass.
+ *
+ * Each problem is `{ type, offset, path, message, trackIndex? }`, where `offset`
+ * is the file offset of the offending atom or table entry and `type` is one of:
+ * `truncated-atom`, `invalid-atom-size`, `atom-overflow` (a child larger than
+ * its parent), `missing-atom`, `table-truncated`, `invalid-sample-table`,
+ * `invalid-stsc`, `sample-count-mismatch`, `chunk-outside-mdat` and
+ * `chunk-overlap` (sample sizes that run a chunk into another).
+ *
+ * @param {Uint8Array|ArrayBuffer|Buffer} data - M4A file data (Uint8Array, ArrayBuffer, or Node.js Buffer)
+ * @returns {Array<Object>} Problems found, empty for a well-formed file
+ */
+export function verify(data) {
+  const fileBuffer = toUint8Array(data);
+  const problems = [];
+  const atoms = [];
+
+  walkAtoms(fileBuffer, 0, fileBuffer.length, '', atoms, problems);
+
+  const moov = atoms.find((a) => a.path === 'moov');
+  const mdats = atoms.filter((a) => a.path === 'mdat');
+  if (!moov) {
+    problems.push({ type: 'missing-atom', offset: 0, path: 'moov', message: 'No moov atom found' });
+    return problems;
+  }
+
+  const traks = atoms.filter((a) => a.path === 'moov/trak');
+  if (traks.length > 0 && mdats.length === 0) {
+    problems.push({ type: 'missing-atom', offset: 0, path: 'mdat', message: 'No mdat atom found' });
+  }
+
+  const fragments = findFragments(fileBuffer);
+  const ranges = traks.flatMap((trak, trackIndex) =>
+    verifyTrack(fileBuffer, atoms, trak, trackIndex, mdats, fragments, problems)
+  );
+
+  // No two chunks (of any track) may share bytes
+  ranges.sort((a, b) => a.offset - b.offset);
+  for (let i = 1; i < ranges.length; i++) {
+    const previous = ranges[i - 1];
+    const range = ranges[i];
+    if (range.offset < previous.offset + previous.size) {
+      problems.push({
+        type: 'chunk-overlap',
+        offset: previous.entryOffset,
+        path: previous.source.path,
+        trackIndex: previous.trackIndex,
+        message: `Chunk ${previous.chunkIndex} of track ${previous.trackIndex} (${previous.size} bytes at ` +
+          `${previous.offset}) overlaps chunk ${range.chunkIndex} of track ${range.trackIndex}`,
+      });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Read a top-level atom header through a range reader
+ * Returns null at end of data. `size` is 0 for an atom that runs to end of file.
+ */
+async function readAtomHeader(read, pos) {
+  const header = toUint8Array(await read(pos, 16));
+  if (header.length < 8) return null;
+
+  let size = readUInt32BE(header, 0);
+  const type = readString(header, 4, 4);
+  let headerSize = 8;
+
+  if (size === 1) {
+    if (header.length < 16) {
+      throw new Error(`Truncated largesize header for ${type} atom at offset ${pos}`);
+    }
+    size = readBigUInt64BE(header, 8);
+    headerSize = 16;
+  }
+
+  if (size !== 0 && size < headerSize) {
+    throw new Error(`Invalid ${type} atom size ${size} at offset ${pos}`);
+  }
+
+  return { type, size, headerSize };
+}
+
+/**
+ * Locate the top-level moov atom through a range reader and read it whole
+ */
+async function readMoovAtom(read) {
+  let pos = 0;
+
+  for (;;) {
+    const header = await readAtomHeader(read, pos);
+    if (!header) {
+      throw new Error('No moov atom found');
+    }
+
+    const { type, size } = header;
+
+    if (size === 0) {
+      if (type === 'moov') {
+        throw new Error('moov atom extending to end of file is not supported by the range reader');
+      }
+      throw new Error('No moov atom found');
+    }
+
+    if (type === 'moov') {
+      const moov = toUint8Array(await read(pos, size));
+      if (moov.length < size) {
+        throw new Error(`Short read for moov atom (${moov.length} of ${size} bytes)`);
+      }
+      return moov;
+    }
+
+    pos += size;
+  }
+}
+
+/**
+ * Read every top-level moof atom through a range reader
+ */
+async function readMoofAtoms(read) {
+  const moofs = [];
+  let pos = 0;
+
+  for (;;) {
+    const header = await readAtomHeader(read, pos);
+    // An atom without a size runs to end of file, so nothing follows it
+    if (!header || header.size === 0) break;
+
+    const { size, headerSize } = header;
+
+    if (header.type === 'moof') {
+      const buffer = toUint8Array(await read(pos, size));
+      if (buffer.length < size) {
+        throw new Error(`Short read for moof atom (${buffer.length} of ${size} bytes)`);
+      }
+      moofs.push({ buffer, atom: { type: 'moof', offset: 0, size, dataOffset: headerSize }, fileOffset: pos });
+    }
+
+    pos += size;
+  }
+
+  return moofs;
+}
+
+/**
+ * Compute the byte range covered by each chunk of a track
+ */
+function buildChunkRanges(sampleTable) {
+  const { chunkOffsets, sampleSizes, stscEntries } = sampleTable;
+  const chunkMap = buildChunkSampleMap(stscEntries, chunkOffsets.length);
+
+  return chunkMap.map((chunk) => {
+    let size = 0;
+    for (let i = 0; i < chunk.sampleCount; i++) {
+      size += sampleSizes.sizes
+        ? sampleSizes.sizes[chunk.sampleStart + i]
+        : sampleSizes.defaultSize;
+    }
+    return { offset: chunkOffsets[chunk.chunkIndex], size };
+  });
+}
+
+/**
+ * Merge chunk ranges into as few reads as possible
+ * Ranges separated by at most maxGap bytes are read together.
+ */
+function coalesceRanges(ranges, maxGap) {
+  const sorted = ranges
+    .filter((r) => r.size > 0)
+    .sort((a, b) => a.offset - b.offset);
+  const reads = [];
+
+  for (const range of sorted) {
+    const last = reads[reads.length - 1];
+    if (last && range.offset <= last.offset + last.size + maxGap) {
+      last.size = Math.max(last.size, range.offset + range.size - last.offset);
+    } else {
+      reads.push({ offset: range.offset, size: range.size });
+    }
+  }
+
+  return reads;
+}
+
+/**
+ * Name a udta/meta/ilst item for remux metadata filters
+ * Freeform (----) items are named `----:namespace:name`.
+ */
+function readIlstItemName(buffer, item) {
+  if (item.type !== '----') return item.type;
+
+  const children = parseChildAtoms(buffer, item);
+  const mean = findAtom(children, 'mean');
+  const nameAtom = findAtom(children, 'name');
+  if (!mean || !nameAtom) return item.type;
+
+  const namespace = readString(buffer, mean.dataOffset + 4, mean.size - 12);
+  const name = readString(buffer, nameAtom.dataOffset + 4, nameAtom.size - 12);
+  return `----:${namespace}:${name}`;
+}
+
+/**
+ * Copy moov/udta, passing each udta child, meta child and ilst item through `filter`
+ * `filter({ path, type, data })` returns true to keep the atom, false to drop
+ * it, or a Uint8Array holding a replacement atom.
+ */
+function filterUdta(buffer, udta, filter) {
+  const apply = (atom, path) => {
+    const data = sliceArray(buffer, atom.offset, atom.offset + atom.size);
+    const result = filter({ path, type: atom.type, data });
+    if (result instanceof Uint8Array) return result;
+    return result ? data : new Uint8Array(0);
+  };
+
+  const children = parseChildAtoms(buffer, udta).map((child) => {
+    if (child.type !== 'meta') {
+      return apply(child, `udta/${child.type}`);
+    }
+
+    // meta has 4 bytes of version/flags before its children
+    const metaChildren = parseChildAtoms(buffer, child, 4).map((metaChild) => {
+      if (metaChild.type === 'hdlr') {
+        return sliceArray(buffer, metaChild.offset, metaChild.offset + metaChild.size);
+      }
+      if (metaChild.type !== 'ilst') {
+        return apply(metaChild, `udta/meta/${metaChild.type}`);
+      }
+
+      const items = parseChildAtoms(buffer, metaChild).map((item) =>
+        apply(item, `udta/meta/ilst/${readIlstItemName(buffer, item)}`)
+      );
+      return createAtom('ilst', concatArrays(...items));
+    });
+    const versionFlags = sliceArray(buffer, child.dataOffset, child.dataOffset + 4);
+    return createAtom('meta', concatArrays(versionFlags, ...metaChildren));
+  });
+
+  return createAtom('udta', concatArrays(...children));
+}
+
+/**
+ * Read one source track for remux: its samples, decode times and trak atoms
+ */
+function readRemuxTrack(fileBuffer, trackIndex) {
+  const trak = findTrack(fileBuffer, trackIndex);
+  if (!trak) {
+    throw new Error(`Track ${trackIndex} not found in file`);
+  }
+
+  const sampleTable = parseSampleTableFromTrak(fileBuffer, trak);
+  const samples = collectSamples(fileBuffer, sampleTable);
+  const decodeTimes = [];
+  let time = 0;
+  for (const entry of sampleTable.sttsEntries) {
+    for (let i = 0; i < entry.sampleCount && decodeTimes.length < samples.length; i++) {
+      decodeTimes.push(time);
+      time += entry.sampleDelta;
+    }
+  }
+  while (decodeTimes.length < samples.length) decodeTimes.push(time);
+
+  const tkhd = findAtom(parseChildAtoms(fileBuffer, trak), 'tkhd');
+
+  return {
+    sampleTable,
+    samples,
+    decodeTimes,
+    mediaDuration: time,
+    media: readTrackMedia(fileBuffer, trak, true).media,
+    tkhd: tkhd ? sliceArray(fileBuffer, tkhd.offset, tkhd.offset + tkhd.size) : null,
+    editList: readGaplessInfo(fileBuffer, trak, sampleTable).editList,
+  };
+}
+
+/**
+ * Remux tracks of one or more stems files into a new multi-track file
+ *
+ * Tracks can be dropped, reordered, or combined from several files. Samples
+ * are copied as-is into one mdat, interleaved in chunks of about
+ * `chunkDuration` seconds, and described by one moov with a trak per output
+ * track. Each trak keeps its source tkhd flags, edit list, language and sample
+ * description.
+ *
+ * `moov/udta` (kara, stem, iTunes tags) is copied from `metadataFrom`.
+ * Track indices inside the kara and stem atoms are not rewritten; pass a
+ * `metadata` filter to drop or replace them when tracks move.
+ *
+ * @param {Uint8Array|ArrayBuffer|Buffer|Array<Uint8Array|ArrayBuffer|Buffer>} inputs - Source file data, or an array of sources
+ * @param {Object} [options]
+ * @param {Array<number|{input: number, track: number}>} [options.tracks] - Output tracks in order; numbers
+ *   refer to the first input. Defaults to every track of every input.
+ * @param {'copy'|'none'|Function} [options.metadata='copy'] - Copy udta, drop it, or filter it with
+ *   `({ path, type, data }) => boolean | Uint8Array` (e.g. path 'udta/meta/ilst/----:com.stems:kara')
+ * @param {number} [options.metadataFrom=0] - Input whose udta is carried over
+ * @param {number} [options.chunkDuration=0.5] - Interleaving chunk length in seconds
+ * @returns {Uint8Array} Multi-track MP4 file
+ */
+export function remux(inputs, options = {}) {
+  const files = (Array.isArray(inputs) ? inputs : [inputs]).map((input) => toUint8Array(input));
+  const { metadata = 'copy', metadataFrom = 0, chunkDuration = 0.5 } = options;
+
+  const selection = (
+    options.tracks ||
+    files.flatMap((file, input) => Array.from({ length: getTrackCount(file) }, (_, track) => ({ input, track })))
+  ).map((entry) => (typeof entry === 'number' ? { input: 0, track: entry } : { input: 0, ...entry }));
+
+  if (selection.length === 0) {
+    throw new Error('No tracks to remux');
+  }
+
+  const tracks = selection.map(({ input, track }) => {
+    if (!files[input]) {
+      throw new Error(`Input ${input} not found`);
+    }
+    return readRemuxTrack(files[input], track);
+  });
+
+  // Group each track's samples into chunks, then interleave the chunks by time
+  const chunks = [];
+  tracks.forEach((track, trackNumber) => {
+    const { timescale } = track.sampleTable.mdhd;
+    const maxTicks = chunkDuration * timescale;
+    track.chunks = [];
+
+    let chunk = null;
+    for (let i = 0; i < track.samples.length; i++) {
+      if (!chunk) {
+        const start = track.decodeTimes[i];
+        chunk = { trackNumber, time: start / timescale, start, first: i, sampleCount: 0, size: 0 };
+        track.chunks.push(chunk);
+        chunks.push(chunk);
+      }
+      chunk.sampleCount++;
+      chunk.size += track.samples[i].length;
+
+      const end = i + 1 < track.decodeTimes.length ? track.decodeTimes[i + 1] : track.mediaDuration;
+      if (end - chunk.start >= maxTicks) chunk = null;
+    }
+  });
+  chunks.sort((a, b) => a.time - b.time || a.trackNumber - b.trackNumber);
+
+  const mdatSize = chunks.reduce((sum, chunk) => sum + chunk.size, 0);
+  const mediaData = new Uint8Array(mdatSize);
+  let writeOffset = 0;
+  for (const chunk of chunks) {
+    chunk.offset = writeOffset;
+    const { samples } = tracks[chunk.trackNumber];
+    for (let i = chunk.first; i < chunk.first + chunk.sampleCount; i++) {
+      mediaData.set(samples[i], writeOffset);
+      writeOffset += samples[i].length;
+    }
+  }
+  const mdat = createAtom('mdat', mediaData);
+  const mdatHeaderSize = mdat.length - mediaData.length;
+
+  // ftyp from the first input, so the brand (M4A / stem.mp4) is kept
+  const sourceFtyp = findAtom(parseAtoms(files[0]), 'ftyp');
+  const ftyp = sourceFtyp ? sliceArray(files[0], sourceFtyp.offset, sourceFtyp.offset + sourceFtyp.size) : buildFtyp();
+
+  let udta = new Uint8Array(0);
+  if (metadata !== 'none') {
+    const source = files[metadataFrom];
+    if (!source) {
+      throw new Error(`Input ${metadataFrom} not found`);
+    }
+    const sourceUdta = findAtom(parseChildAtoms(source, findAtom(parseAtoms(source), 'moov')), 'udta');
+    if (sourceUdta) {
+      udta =
+        typeof metadata === 'function'
+          ? filterUdta(source, sourceUdta, metadata)
+          : sliceArray(source, sourceUdta.offset, sourceUdta.offset + sourceUdta.size);
+    }
+  }
+
+  // Keep the first input's movie timescale, so its edit lists round-trip exactly
+  const movieTimescale =
+    readMovieTimescale(files[0], parseChildAtoms(files[0], findAtom(parseAtoms(files[0]), 'moov'))) ||
+    tracks[0].sampleTable.mdhd.timescale;
+  const toMovieTime = (value, timescale) => Math.round((value * movieTimescale) / timescale);
+
+  const buildMoov = (offsetType, baseOffset) => {
+    let movieDuration = 0;
+    const traks = tracks.map((track, i) => {
+      const { mdhd, sampleSizes, sttsEntries, stsd } = track.sampleTable;
+      const editList = track.editList
+        ? track.editList.map((edit) => ({
+            ...edit,
+            segmentDuration: toMovieTime(edit.segmentDuration, mdhd.timescale),
+          }))
+        : null;
+      const duration = editList
+        ? editList.reduce((sum, edit) => sum + edit.segmentDuration, 0)
+        : toMovieTime(mdhd.duration, mdhd.timescale);
+      movieDuration = Math.max(movieDuration, duration);
+
+      const chunkTable = track.chunks.map((chunk) => ({
+        sampleCount: chunk.sampleCount,
+        offset: baseOffset + chunk.offset,
+      }));
+      return buildTrak({
+        stsd,
+        sampleTableAtoms: buildSampleTableAtoms(sampleSizes, sttsEntries, offsetType, chunkTable),
+        mdhd,
+        duration,
+        editList,
+        media: track.media,
+        tkhd: track.tkhd,
+        trackId: i + 1,
+      });
+    });
+
+    const mvhd = buildMvhd(movieTimescale, movieDuration, tracks.length + 1);
+    return createAtom('moov', concatArrays(mvhd, ...traks, udta));
+  };
+
+  // moov size does not depend on offset values, only on stco vs co64
+  let offsetType = 'stco';
+  let baseOffset = ftyp.length + buildMoov(offsetType, 0).length + mdatHeaderSize;
+  if (baseOffset + mdatSize > 0xffffffff) {
+    offsetType = 'co64';
+    baseOffset = ftyp.length + buildMoov(offsetType, 0).length + mdatHeaderSize;
+  }
+
+  return concatArrays(ftyp, buildMoov(offsetType, baseOffset), mdat);
+}
+
+/**
+ * Extract a single track as a playable M4A using ranged reads
+ *
+ * Only the moov atom and the chunks belonging to the requested track are
+ * read, so a track can be pulled out of a remote or on-disk file without
+ * loading the whole thing.
+ *
+ * @param {function(number, number): Promise<Uint8Array|ArrayBuffer|Buffer>} read -
+ *   Reads `length` bytes starting at `offset` (e.g. an HTTP Range fetch or FileHandle.read).
+ *   May return fewer bytes at end of file.
+ * @param {number} trackIndex - Track index (0-based)
+ * @param {Object} [options]
+ * @param {number} [options.maxGap=0] - Merge chunk reads separated by at most this many bytes
+ * @returns {Promise<Uint8Array>} Playable M4A file
+ */
+export async function extractTrackFromReader(read, trackIndex, options = {}) {
+  const { maxGap = 0 } = options;
+
+  if (typeof read !== 'function') {
+    throw new Error('Expected a read(offset, length) function');
+  }
+
+  const moovBuffer = await readMoovAtom(read);
+
+  const trak = findTrack(moovBuffer, trackIndex);
+  if (!trak) {
+    throw new Error(`Track ${trackIndex} not found in file`);
+  }
+
+  // Fragmented files keep their samples in moof atoms outside moov
+  const fragments = findFragments(moovBuffer);
+  if (fragments) {
+    fragments.moofs = await readMoofAtoms(read);
+  }
+
+  const sampleTable = parseSampleTableFromTrak(moovBuffer, trak, fragments);
+  const chunkRanges = buildChunkRanges(sampleTable);
+
+  // Fetch the chunk data, then copy each chunk out of the block it landed in
+  const blocks = [];
+  for (const range of coalesceRanges(chunkRanges, maxGap)) {
+    const bytes = toUint8Array(await read(range.offset, range.size));
+    if (bytes.length < range.size) {
+      throw new Error(
+        `Short read at offset ${range.offset} (${bytes.length} of ${range.size} bytes)`
+      );
+    }
+    blocks.push({ offset: range.offset, bytes });
+  }
+
+  const totalSize = chunkRanges.reduce((sum, range) => sum + range.size, 0);
+  const audioData = new Uint8Array(totalSize);
+  let writeOffset = 0;
+  let blockIndex = 0;
+
+  // Chunks are listed in decode order, which is not necessarily file order
+  for (const range of chunkRanges) {
+    if (range.size === 0) continue;
+
+    let block = blocks[blockIndex];
+    if (!(range.offset >= block.offset && range.offset + range.size <= block.offset + block.bytes.length)) {
+      block = blocks.find(
+        (b) => range.offset >= b.offset && range.offset + range.size <= b.offset + b.bytes.length
+      );
+      blockIndex = blocks.indexOf(block);
+    }
+
+    const start = range.offset - block.offset;
+    audioData.set(block.bytes.subarray(start, start + range.size), writeOffset);
+    writeOffset += range.size;
+  }
+
+  return buildM4aFile({
+    audioData,
+    stsd: sampleTable.stsd,
+    sampleSizes: sampleTable.sampleSizes,
+    sttsEntries: sampleTable.sttsEntries,
+    mdhd: sampleTable.mdhd,
+    media: readTrackMedia(moovBuffer, trak).media,
+    ...readGaplessInfo(moovBuffer, trak, sampleTable),
+  });
 }
 
 export default {
   extractTrack,
+  extractTrackAsync,
+  extractStem,
+  extractStemAsync,
+  extractTrackRange,
+  extractTrackSegments,
+  extractTrackFromReader,
   extractAllTracks,
+  extractAllTracksAsync,
+  remux,
+  getTrackSamples,
+  parseAudioSpecificConfig,
+  parseAlacCookie,
+  buildSeekIndex,
+  extractSubtitleCues,
+  extractSubtitleWebVTT,
   getTrackCount,
   getTrackInfo,
 };
@@ -6,15 +6,21 @@
 import M4AStemsReader from './reader.js';
 import M4AStemsWriter from './writer.js';
 import * as Atoms from './atoms.js';
+import * as BufferAtoms from './buffer-atoms.js';
 import * as WebVTT from './webvtt.js';
 import * as Extractor from './extractor.js';
+import * as AAC from './aac-decoder.js';
+import * as ALAC from './alac-decoder.js';
 
-export { M4AStemsReader, M4AStemsWriter, Atoms, WebVTT, Extractor };
+export { M4AStemsReader, M4AStemsWriter, Atoms, BufferAtoms, WebVTT, Extractor, AAC, ALAC };
 
 export default {
   Reader: M4AStemsReader,
   Writer: M4AStemsWriter,
   Atoms,
+  BufferAtoms,
   WebVTT,
   Extractor,
+  AAC,
+  ALAC,
 };
@@ -9,6 +9,8 @@ import { promisify } from 'util';
 import path from 'path';
 import os from 'os';
 import fs from 'fs';
+import { getTrackInfo } from './extractor.js';
+import { ITUNES_TAGS, readCoverArt, readStandardMetadata } from './buffer-atoms.js';
 
 const execAsync = promisify(exec);
 
@@ -135,6 +137,7 @@ class M4AStemsReader {
           '----:com.stems:vpch',
           '----:com.stems:kons',
           '----:com.apple.iTunes:initialkey',
+          ...ITUNES_TAGS.map((tag) => tag.atom).filter((atom) => atom.startsWith('----:')),
         ];
 
         const unknownAtoms = mmData.native.iTunes.filter(
@@ -170,16 +173,19 @@ class M4AStemsReader {
         }
       }
 
-      // Extract standard metadata
+      // Extract standard metadata: iTunes tags through the same table the writers use
+      const fileData = await fs.promises.readFile(m4aPath);
+      const tags = readStandardMetadata(fileData);
       const metadata = {
-        title: mmData.common?.title || path.basename(m4aPath, path.extname(m4aPath)),
-        artist: mmData.common?.artist || '',
-        album: mmData.common?.album || '',
+        ...tags,
+        title: tags.title || path.basename(m4aPath, path.extname(m4aPath)),
+        artist: tags.artist || '',
+        album: tags.album || '',
         duration: mmData.format?.duration || 0,
         key: musicalKey,
-        tempo: karaData?.meter?.bpm || mmData.common?.bpm || null,
-        genre: mmData.common?.genre?.[0] || '',
-        year: mmData.common?.year || null,
+        tempo: karaData?.meter?.bpm || tags.tempo || null,
+        genre: tags.genre || '',
+        year: parseInt(tags.year, 10) || null,
       };
 
       // Build audio sources from kara data (without extracting audio yet)
@@ -205,10 +211,27 @@ class M4AStemsReader {
         lyrics = [...karaData.lines].sort((a, b) => (a.start || 0) - (b.start || 0));
       }
 
+      // Cover art (iTunes covr images and attached-picture track frame), copied
+      // so the images do not keep the whole file in memory
+      const artwork = readCoverArt(fileData).map((image) => ({ ...image, data: Buffer.from(image.data) }));
+
+      // Track header flags: which tracks plain players play
+      const tracks = getTrackInfo(fileData).map((track) => ({
+        index: track.index,
+        type: track.type,
+        enabled: track.enabled,
+        inMovie: track.inMovie,
+        inPreview: track.inPreview,
+      }));
+
       // Build return structure
       const result = {
         metadata,
 
+        artwork,
+
+        tracks,
+
         lyrics,
 
         features: {
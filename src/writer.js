@@ -10,6 +10,7 @@ import os from 'os';
 import crypto from 'crypto';
 import { generateWebVTT } from './webvtt.js';
 import * as Atoms from './atoms.js';
+import * as BufferAtoms from './buffer-atoms.js';
 
 /**
  * Execute command using spawn (handles spaces in paths correctly)
@@ -65,6 +66,7 @@ class M4AStemsWriter {
       bitrate = null,
       sampleRate = 44100,
       coverArt = null,
+      padding = undefined,
     } = options;
 
     console.log(`📦 Packaging stems M4A: ${outputPath}`);
@@ -118,36 +120,37 @@ class M4AStemsWriter {
         profile
       );
 
-      // Step 5: Write custom atoms to file
-      console.log('Step 5: Writing custom atoms...');
-      await Atoms.writeKaraAtom(outputPath, karaData);
+      // Step 5: Collect custom atoms; they are written to the file in one pass
+      console.log('Step 5: Preparing custom atoms...');
+      const changes = { kara: karaData };
 
       // Step 5a: Add NI Stems metadata
       console.log('Step 5a: Adding NI Stems metadata...');
-      const stemNames = profile === 'STEMS-4'
+      changes.stems = profile === 'STEMS-4'
         ? ['Drums', 'Bass', 'Other', 'Vocals']
         : ['Music', 'Vocals'];
-      await Atoms.addNiStemsMetadata(outputPath, stemNames);
 
-      // Step 5b: Disable tracks (stem tracks disabled by default)
-      const tracksToDisable = Array.from({ length: encodedFiles.length - 1 }, (_, i) => i + 1);
-      if (tracksToDisable.length > 0) {
+      // Step 5b: Make the master track the default; stem tracks are disabled so
+      // plain players only play the master
+      if (encodedFiles.length > 1) {
         console.log('Step 5b: Disabling stem tracks...');
-        await Atoms.disableTracks(outputPath, tracksToDisable);
+        changes.defaultTrack = 0;
       }
 
       // Step 5c: Write standard MP4 metadata (title, artist, album, year, genre, BPM)
       console.log('Step 5c: Writing standard metadata atoms...');
       const song = metadata.song || metadata;
+      // tmpo holds a whole BPM: round analysis tempos and skip unusable ones
+      const bpm = Number(song.bpm || analysisFeatures?.tempo_map?.bpm);
       const standardMetadata = {
         title: song.title,
         artist: song.artist,
         album: song.album,
         year: song.year,
         genre: song.genre,
-        tempo: song.bpm || analysisFeatures?.tempo_map?.bpm
+        tempo: Number.isFinite(bpm) && bpm > 0 ? Math.round(bpm) : undefined
       };
-      await Atoms.addStandardMetadata(outputPath, standardMetadata);
+      changes.metadata = standardMetadata;
 
       // Step 5d: Write musical key if available (important for DJ software)
       if (analysisFeatures && analysisFeatures.key_detection) {
@@ -157,14 +160,19 @@ class M4AStemsWriter {
 
         if (detectedKey && detectedKey !== 'unknown' && confidence > 0.3) {
           console.log(`Step 5d: Adding musical key: ${detectedKey} (confidence: ${confidence.toFixed(2)})...`);
-          await Atoms.addMusicalKey(outputPath, detectedKey);
+          changes.key = detectedKey;
         }
       }
 
       // Step 5e: Write track number if available
       if (song.track) {
-        console.log('Step 5e: Adding track number...');
-        await Atoms.addTrackNumber(outputPath, song.track);
+        // Skip an unreadable track number rather than fail after encoding
+        if (BufferAtoms.parseTrackNumber(song.track)) {
+          console.log('Step 5e: Adding track number...');
+          changes.track = song.track;
+        } else {
+          console.warn(`Step 5e: Skipping invalid track number ${JSON.stringify(song.track)}`);
+        }
       }
 
       // Step 5f: Write vocal pitch atom if available
@@ -184,7 +192,7 @@ class M4AStemsWriter {
 
         if (transformedPitchData.data && Array.isArray(transformedPitchData.data) && transformedPitchData.data.length > 0) {
           console.log(`Step 5f: Writing vocal pitch atom (${transformedPitchData.data.length} samples)...`);
-          await Atoms.writeVpchAtom(outputPath, transformedPitchData);
+          changes.vpch = transformedPitchData;
         }
       }
 
@@ -197,10 +205,14 @@ class M4AStemsWriter {
 
         if (Array.isArray(onsetsArray) && onsetsArray.length > 0) {
           console.log(`Step 5g: Writing onsets atom (${onsetsArray.length} onsets)...`);
-          await Atoms.writeKonsAtom(outputPath, onsetsArray);
+          changes.kons = onsetsArray;
         }
       }
 
+      // Step 5h: Write all custom atoms with a single file rewrite
+      console.log('Step 5h: Writing custom atoms...');
+      await Atoms.edit(outputPath, changes, { padding });
+
       // Step 6: Validate and return results
       console.log('Step 6: Validating output...');
       const stats = await fs.stat(outputPath);
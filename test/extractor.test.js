@@ -23,12 +23,16 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 import * as Extractor from '../src/extractor.js';
+import * as AAC from '../src/aac-decoder.js';
+import * as ALAC from '../src/alac-decoder.js';
 
 const EXAMPLE_FILE = path.join(
   __dirname,
   'examples',
   'Dr_Tom-House_of_the_rising_sun-clip.stem.m4a'
 );
+// 6000 stereo samples of round(12000 * sin 440 Hz) / round(8000 * sin 660 Hz), ALAC-encoded by FFmpeg
+const ALAC_FIXTURE = path.join(__dirname, 'fixtures', 'tones-alac.m4a');
 
 /**
  * Helper to read string from Uint8Array
@@ -109,6 +113,55 @@ describe('Track Extractor Tests', () => {
         }
       }
     });
+
+    test('decodes track headers, handlers and AAC details', async () => {
+      const info = Extractor.getTrackInfo(await fs.readFile(EXAMPLE_FILE));
+
+      assert.deepEqual(info.map((t) => t.trackId), [1, 2, 3, 4, 5, 6]);
+      assert.deepEqual(info.map((t) => t.enabled), [true, false, false, false, false, true]);
+      assert.deepEqual(info.map((t) => t.handlerType), ['soun', 'soun', 'soun', 'soun', 'soun', 'sbtl']);
+
+      const master = info[0];
+      assert.equal(master.handlerName, 'SoundHandler');
+      assert.equal(master.language, 'und');
+      assert.equal(master.format, 'mp4a');
+      assert.equal(master.codec, 'mp4a.40.2');
+      assert.equal(master.channelCount, 2);
+      assert.equal(master.sampleRate, 44100);
+      assert.deepEqual(master.aac, {
+        objectTypeIndication: 0x40,
+        objectType: 2,
+        sampleRate: 44100,
+        channels: 2,
+        avgBitrate: 110197,
+        maxBitrate: 110197,
+      });
+
+      const text = info[5];
+      assert.equal(text.format, 'tx3g');
+      assert.equal(text.aac, undefined, 'Text track should have no AAC details');
+    });
+
+    test('reads the ALAC magic cookie and media language', async () => {
+      const outputPath = path.join(tempDir, 'alac.m4a');
+      try {
+        await execAsync(
+          `ffmpeg -loglevel error -i "${EXAMPLE_FILE}" -map 0:0 -c:a alac -sample_fmt s16p -metadata:s:a:0 language=eng "${outputPath}" -y`
+        );
+      } catch {
+        console.log('   (FFmpeg not available, skipping ALAC track info test)');
+        return;
+      }
+
+      const [track] = Extractor.getTrackInfo(await fs.readFile(outputPath));
+      assert.equal(track.format, 'alac');
+      assert.equal(track.language, 'eng');
+      assert.equal(track.alac.magicCookie.length, 24);
+      assert.equal(track.alac.frameLength, 4096);
+      assert.equal(track.alac.bitDepth, 16);
+      assert.equal(track.alac.channels, 2);
+      assert.equal(track.alac.sampleRate, 44100);
+    });
   });
 
   describe('extractTrack', () => {
@@ -204,7 +257,7 @@ describe('Track Extractor Tests', () => {
     test('extracted audio streams are correct size (within expected range)', async () => {
       const fileBuffer = await fs.readFile(EXAMPLE_FILE);
       const info = Extractor.getTrackInfo(fileBuffer);
-      const audioTracks = info.filter((t) => !t.error && t.sampleCount > 100);
+      const audioTracks = info.filter((t) => !t.error && t.type === 'audio');
 
       // All audio tracks should be roughly the same size (within 20%)
       const sizes = [];
@@ -228,6 +281,95 @@ describe('Track Extractor Tests', () => {
     });
   });
 
+  describe('ADTS output', () => {
+    test('wraps every AAC frame in an ADTS header', async () => {
+      const fileBuffer = await fs.readFile(EXAMPLE_FILE);
+      const adts = Extractor.extractTrack(fileBuffer, 4, { format: 'adts' });
+      const { samples } = Extractor.getTrackSamples(fileBuffer, 4);
+
+      // Walk the stream by the ADTS frame_length field
+      let pos = 0;
+      for (const [i, sample] of samples.entries()) {
+        assert.equal(adts[pos], 0xff, `Frame ${i} should start with a syncword`);
+        assert.equal(adts[pos + 1] & 0xf6, 0xf0, `Frame ${i} should be layer 0`);
+        assert.equal(adts[pos + 2] >> 6, 1, 'Profile should be AAC LC');
+        assert.equal((adts[pos + 2] >> 2) & 0xf, 4, 'Sampling index should be 44100 Hz');
+        assert.equal(((adts[pos + 2] & 1) << 2) | (adts[pos + 3] >> 6), 2, 'Channel config should be stereo');
+
+        const frameLength = ((adts[pos + 3] & 3) << 11) | (adts[pos + 4] << 3) | (adts[pos + 5] >> 5);
+        assert.equal(frameLength, 7 + sample.length, `Frame ${i} length should cover its access unit`);
+        assert.ok(sample.equals(adts.subarray(pos + 7, pos + frameLength)), `Frame ${i} should carry its access unit`);
+        pos += frameLength;
+      }
+      assert.equal(pos, adts.length, 'Stream should end after the last frame');
+
+      const vocals = Extractor.extractStem(fileBuffer, 'vocals', { format: 'adts' });
+      assert.deepEqual(vocals.data, adts, 'extractStem should pass the output format through');
+    });
+
+    test('refuses non-AAC tracks', async () => {
+      const fileBuffer = await fs.readFile(EXAMPLE_FILE);
+      assert.throws(() => Extractor.extractTrack(fileBuffer, 5, { format: 'adts' }), /requires an AAC track \(found tx3g\)/);
+      assert.throws(() => Extractor.extractTrack(fileBuffer, 0, { format: 'wav' }), /Unknown output format "wav"/);
+
+      const outputPath = path.join(tempDir, 'adts-alac.m4a');
+      try {
+        await execAsync(
+          `ffmpeg -loglevel error -i "${EXAMPLE_FILE}" -map 0:0 -c:a alac -sample_fmt s16p "${outputPath}" -y`
+        );
+      } catch {
+        console.log('   (FFmpeg not available, skipping ALAC check)');
+        return;
+      }
+
+      const alac = await fs.readFile(outputPath);
+      assert.throws(() => Extractor.extractTrack(alac, 0, { format: 'adts' }), /requires an AAC track \(found alac\)/);
+    });
+  });
+
+  describe('extractStem', () => {
+    /**
+     * Hide an atom from the parsers by overwriting its bytes in a copy of the file
+     */
+    function hide(fileBuffer, search, replacement) {
+      const copy = Buffer.from(fileBuffer);
+      let pos = copy.indexOf(search);
+      assert.ok(pos !== -1, `Fixture should contain ${search}`);
+      while (pos !== -1) {
+        copy.write(replacement, pos, 'latin1');
+        pos = copy.indexOf(search, pos + 1);
+      }
+      return copy;
+    }
+
+    test('resolves roles from the kara atom sources', async () => {
+      const fileBuffer = await fs.readFile(EXAMPLE_FILE);
+      const vocals = Extractor.extractStem(fileBuffer, 'vocals');
+
+      assert.equal(vocals.trackIndex, 4);
+      assert.equal(vocals.rule, 'kara');
+      assert.deepEqual(vocals.data, Extractor.extractTrack(fileBuffer, 4));
+
+      const master = Extractor.extractStem(fileBuffer, 'Master');
+      assert.equal(master.trackIndex, 0, "'master' should resolve to the mixdown");
+    });
+
+    test('falls back to the NI stem atom, then the default order', async () => {
+      const noKara = hide(await fs.readFile(EXAMPLE_FILE), 'com.stems', 'com.xxxxx');
+
+      const bass = Extractor.extractStem(noKara, 'Bass');
+      assert.equal(bass.trackIndex, 2);
+      assert.equal(bass.rule, 'stem');
+
+      const noMetadata = hide(noKara, 'stem{', 'xxxx{');
+      const drums = Extractor.extractStem(noMetadata, 'drums');
+      assert.equal(drums.trackIndex, 1);
+      assert.equal(drums.rule, 'default');
+
+      assert.throws(() => Extractor.extractStem(noMetadata, 'guitar'), /No track found for stem role "guitar"/);
+    });
+  });
+
   describe('extractAllTracks', () => {
     test('extracts all audio tracks', async () => {
       const fileBuffer = await fs.readFile(EXAMPLE_FILE);
@@ -237,8 +379,10 @@ describe('Track Extractor Tests', () => {
       assert.ok(tracks.length >= 5, 'Should extract at least 5 tracks');
 
       for (let i = 0; i < tracks.length; i++) {
-        assert.ok(tracks[i] instanceof Uint8Array, `Track ${i} should be a Uint8Array`);
-        assert.ok(tracks[i].length > 1000, `Track ${i} should have content`);
+        assert.equal(tracks[i].index, i, `Track ${i} should keep its track index`);
+        assert.equal(tracks[i].type, 'audio', `Track ${i} should be audio`);
+        assert.ok(tracks[i].data instanceof Uint8Array, `Track ${i} should be a Uint8Array`);
+        assert.ok(tracks[i].data.length > 1000, `Track ${i} should have content`);
       }
 
       console.log(`   Extracted ${tracks.length} audio tracks`);
@@ -246,7 +390,7 @@ describe('Track Extractor Tests', () => {
 
     test('all extracted tracks have valid M4A structure', async () => {
       const fileBuffer = await fs.readFile(EXAMPLE_FILE);
-      const tracks = Extractor.extractAllTracks(fileBuffer);
+      const tracks = Extractor.extractAllTracks(fileBuffer).map((track) => track.data);
 
       for (let i = 0; i < tracks.length; i++) {
         const ftyp = readString(tracks[i], 4, 4);
@@ -274,6 +418,292 @@ describe('Track Extractor Tests', () => {
 
       console.log('   All tracks have valid M4A structure (ftyp, moov, mdat)');
     });
+
+    test('filters tracks by handler type', async () => {
+      const fileBuffer = await fs.readFile(EXAMPLE_FILE);
+
+      const text = Extractor.extractAllTracks(fileBuffer, { type: 'text' });
+      assert.deepEqual(text.map((t) => t.index), [5], 'Only the lyrics track is text');
+
+      const all = Extractor.extractAllTracks(fileBuffer, { type: null });
+      assert.deepEqual(all.map((t) => t.type), ['audio', 'audio', 'audio', 'audio', 'audio', 'text']);
+    });
+
+    test('keeps short audio stems and track indices around a video track', async () => {
+      const outputPath = path.join(tempDir, 'mixed-tracks.mp4');
+      const coverPath = path.join(tempDir, 'cover.png');
+      try {
+        await execAsync(`ffmpeg -loglevel error -f lavfi -i color=c=red:s=64x64 -frames:v 1 "${coverPath}" -y`);
+        await execAsync(
+          `ffmpeg -loglevel error -i "${EXAMPLE_FILE}" -i "${coverPath}" -t 1 -i "${EXAMPLE_FILE}" ` +
+            `-map 0:0 -map 1 -map 2:a:0 -c:a copy -c:v mjpeg -f mp4 "${outputPath}" -y`
+        );
+      } catch {
+        console.log('   (FFmpeg not available, skipping mixed track test)');
+        return;
+      }
+
+      const fileBuffer = await fs.readFile(outputPath);
+      const info = Extractor.getTrackInfo(fileBuffer);
+      assert.deepEqual(info.map((t) => t.type), ['audio', 'video', 'audio']);
+      assert.ok(info[2].sampleCount < 100, 'Second audio track should be a short stem');
+
+      const audio = Extractor.extractAllTracks(fileBuffer);
+      assert.deepEqual(audio.map((t) => t.index), [0, 2], 'Short stem kept with its original index');
+
+      const [video] = Extractor.extractAllTracks(fileBuffer, { type: 'video' });
+      assert.equal(video.index, 1);
+      const videoInfo = Extractor.getTrackInfo(video.data)[0];
+      assert.equal(videoInfo.handlerType, 'vide', 'Extracted video keeps its handler');
+    });
+  });
+
+  describe('Async extraction', () => {
+    test('matches the sync results as transferable ArrayBuffers', async () => {
+      const fileBuffer = await fs.readFile(EXAMPLE_FILE);
+      const progress = [];
+      const tracks = await Extractor.extractAllTracksAsync(fileBuffer, {
+        onProgress: (p) => progress.push(p),
+      });
+      const expected = Extractor.extractAllTracks(fileBuffer);
+
+      assert.deepEqual(tracks.map((t) => t.index), expected.map((t) => t.index));
+      for (const [i, track] of tracks.entries()) {
+        assert.ok(track.data instanceof ArrayBuffer, `Track ${track.index} should be an ArrayBuffer`);
+        assert.deepEqual(new Uint8Array(track.data), expected[i].data);
+      }
+
+      const { total } = progress[0];
+      assert.deepEqual(progress[0], { loaded: 0, total }, 'Progress should start at zero');
+      assert.deepEqual(progress.at(-1), { loaded: total, total }, 'Progress should end complete');
+      assert.ok(progress.every((p, i) => i === 0 || p.loaded >= progress[i - 1].loaded), 'Progress should not go back');
+
+      const adts = await Extractor.extractTrackAsync(fileBuffer, 4, { format: 'adts' });
+      assert.deepEqual(new Uint8Array(adts), Extractor.extractTrack(fileBuffer, 4, { format: 'adts' }));
+
+      const vocals = await Extractor.extractStemAsync(fileBuffer, 'vocals');
+      assert.equal(vocals.trackIndex, 4);
+      assert.deepEqual(new Uint8Array(vocals.data), expected[4].data);
+    });
+
+    test('rejects when the signal is aborted', async () => {
+      const fileBuffer = await fs.readFile(EXAMPLE_FILE);
+
+      const aborted = new AbortController();
+      aborted.abort();
+      await assert.rejects(Extractor.extractTrackAsync(fileBuffer, 0, { signal: aborted.signal }), {
+        name: 'AbortError',
+      });
+
+      // Abort once work has started
+      const controller = new AbortController();
+      await assert.rejects(
+        Extractor.extractAllTracksAsync(fileBuffer, {
+          signal: controller.signal,
+          onProgress: () => controller.abort(),
+        }),
+        { name: 'AbortError' }
+      );
+    });
+  });
+
+  describe('remux', () => {
+    const samplesEqual = (a, b) => a.length === b.length && a.every((sample, i) => sample.equals(b[i]));
+
+    test('rewrites every track into one interleaved mdat', async () => {
+      const fileBuffer = await fs.readFile(EXAMPLE_FILE);
+      const remuxed = Buffer.from(Extractor.remux(fileBuffer));
+
+      const info = Extractor.getTrackInfo(remuxed);
+      assert.deepEqual(info.map((t) => t.trackId), [1, 2, 3, 4, 5, 6]);
+      assert.deepEqual(info.map((t) => t.enabled), [true, false, false, false, false, true], 'tkhd flags kept');
+      assert.deepEqual(info.map((t) => t.handlerName), Extractor.getTrackInfo(fileBuffer).map((t) => t.handlerName));
+
+      for (let i = 0; i < info.length; i++) {
+        assert.ok(
+          samplesEqual(Extractor.getTrackSamples(remuxed, i).samples, Extractor.getTrackSamples(fileBuffer, i).samples),
+          `Track ${i} samples should be unchanged`
+        );
+        assert.deepEqual(Extractor.extractTrack(remuxed, i), Extractor.extractTrack(fileBuffer, i));
+      }
+
+      // Chunks of the stems alternate in the mdat
+      const master = Extractor.getTrackSamples(remuxed, 0).sampleTable.chunkOffsets;
+      const drums = Extractor.getTrackSamples(remuxed, 1).sampleTable.chunkOffsets;
+      assert.ok(master.length > 1, 'Master should be split into chunks');
+      assert.ok(master[0] < drums[0] && drums[0] < master[1], 'Drums chunk should sit between master chunks');
+
+      // udta (kara, stem, tags) is copied
+      assert.equal(Extractor.extractStem(remuxed, 'vocals').rule, 'kara');
+    });
+
+    test('drops, reorders and combines tracks from several files', async () => {
+      const fileBuffer = await fs.readFile(EXAMPLE_FILE);
+      const instrumental = Extractor.remux(fileBuffer, { tracks: [1, 2, 3] });
+
+      const paths = [];
+      const remuxed = Buffer.from(
+        Extractor.remux([instrumental, fileBuffer], {
+          tracks: [{ input: 1, track: 4 }, 0, { input: 1, track: 5 }],
+          metadataFrom: 1,
+          metadata: ({ path }) => {
+            paths.push(path);
+            return path !== 'udta/meta/ilst/----:com.stems:kara';
+          },
+        })
+      );
+
+      assert.ok(paths.includes('udta/stem'), 'Filter should see the stem atom');
+      assert.ok(paths.includes('udta/meta/ilst/----:com.stems:kara'), 'Filter should see the kara item');
+
+      const sources = [
+        [fileBuffer, 4],
+        [fileBuffer, 1],
+        [fileBuffer, 5],
+      ];
+      sources.forEach(([source, index], i) => {
+        assert.ok(
+          samplesEqual(Extractor.getTrackSamples(remuxed, i).samples, Extractor.getTrackSamples(source, index).samples),
+          `Output track ${i} should hold source track ${index}`
+        );
+      });
+      assert.deepEqual(Extractor.getTrackInfo(remuxed).map((t) => t.type), ['audio', 'audio', 'text']);
+
+      // kara was filtered out, so roles fall back to the stem atom
+      assert.equal(Extractor.extractStem(remuxed, 'drums').rule, 'stem');
+
+      const bare = Buffer.from(Extractor.remux(fileBuffer, { tracks: [0], metadata: 'none' }));
+      assert.equal(bare.indexOf('udta'), -1, 'metadata: none should drop udta');
+
+      assert.throws(() => Extractor.remux(fileBuffer, { tracks: [{ input: 2, track: 0 }] }), /Input 2 not found/);
+    });
+  });
+
+  describe('buildSeekIndex', () => {
+    test('maps time, sample and byte range for an AAC track', async () => {
+      const fileBuffer = await fs.readFile(EXAMPLE_FILE);
+      const index = Extractor.buildSeekIndex(fileBuffer, 0);
+      const { samples, sampleTable } = Extractor.getTrackSamples(fileBuffer, 0);
+
+      assert.equal(index.sampleCount, samples.length);
+      assert.equal(index.timescale, 44100);
+      assert.equal(index.presentationOffset, 1024 / 44100, 'Priming from the edit list');
+      // The last frame is shorter, so stts has two entries
+      assert.equal(sampleTable.sttsEntries.length, 2);
+      assert.equal(index.duration, (345 * 1024 + 544) / 44100);
+
+      assert.equal(index.timeToSample(0), 0);
+      assert.equal(index.timeToSample(1), Math.floor(44100 / 1024));
+      assert.equal(index.timeToSample(-1), 0, 'Times before the track clamp to the first frame');
+      assert.equal(index.timeToSample(60), samples.length - 1, 'Times past the track clamp to the last frame');
+
+      for (const sample of [0, 1, 100, samples.length - 1]) {
+        assert.equal(index.sampleToTime(sample), (sample * 1024) / 44100);
+        assert.equal(index.timeToSample(index.sampleToTime(sample)), sample);
+
+        const { offset, size } = index.sampleToByteRange(sample);
+        assert.ok(fileBuffer.subarray(offset, offset + size).equals(samples[sample]), `Frame ${sample} bytes`);
+      }
+
+      assert.throws(() => index.sampleToTime(samples.length), /Sample 346 out of range/);
+    });
+
+    test('handles a multi-entry stts with gaps (text track)', async () => {
+      const fileBuffer = await fs.readFile(EXAMPLE_FILE);
+      const index = Extractor.buildSeekIndex(fileBuffer, 5);
+
+      // Empty samples fill the gaps between cues; the final one has zero duration
+      const starts = Array.from({ length: index.sampleCount }, (_, i) => index.sampleToTime(i));
+      assert.deepEqual(starts, [0, 0.525, 2.025, 2.525, 4.025, 4.525, 7.025]);
+
+      assert.equal(index.timeToSample(0.3), 0);
+      assert.equal(index.timeToSample(0.525), 1);
+      assert.equal(index.timeToSample(2.1), 2);
+      assert.equal(index.timeToSample(6), 5);
+      assert.equal(index.timeToSample(7.025), 5, 'The zero-length last sample never plays');
+    });
+  });
+
+  describe('verify', () => {
+    test('finds no problems in well-formed files', async () => {
+      const fileBuffer = await fs.readFile(EXAMPLE_FILE);
+
+      assert.deepEqual(Extractor.verify(fileBuffer), []);
+      assert.deepEqual(Extractor.verify(Extractor.extractTrack(fileBuffer, 4)), []);
+      assert.deepEqual(Extractor.verify(Extractor.remux([fileBuffer], { tracks: [0, 5] })), []);
+    });
+
+    test('reports every problem with its byte offset', async () => {
+      const fileBuffer = await fs.readFile(EXAMPLE_FILE);
+
+      // Track 0: chunk 1 points past mdat, and sample 0 grows into the next chunk
+      const tables = Buffer.from(fileBuffer);
+      const stco = tables.indexOf('stco') - 4;
+      const stsz = tables.indexOf('stsz') - 4;
+      tables.writeUInt32BE(tables.length, stco + 20);
+      tables.writeUInt32BE(tables.readUInt32BE(stsz + 20) + 5000, stsz + 20);
+
+      const problems = Extractor.verify(tables);
+      assert.deepEqual(problems.map((p) => [p.type, p.offset, p.trackIndex]), [
+        ['chunk-outside-mdat', stco + 20, 0],
+        ['chunk-overlap', stco + 16, 0],
+      ]);
+      assert.equal(problems[0].path, 'moov/trak/mdia/minf/stbl/stco');
+
+      // A child atom larger than its parent; the track's tables become unreadable
+      const overflow = Buffer.from(fileBuffer);
+      const mdhd = overflow.indexOf('mdhd') - 4;
+      overflow.writeUInt32BE(overflow.readUInt32BE(mdhd) + 100000, mdhd);
+
+      const [atomProblem, tableProblem] = Extractor.verify(overflow);
+      assert.equal(atomProblem.type, 'atom-overflow');
+      assert.equal(atomProblem.offset, mdhd);
+      assert.equal(atomProblem.path, 'moov/trak/mdia/mdhd');
+      assert.equal(tableProblem.type, 'invalid-sample-table');
+      assert.equal(tableProblem.trackIndex, 0);
+
+      // A sample count that no longer fits in stsz
+      const truncated = Buffer.from(fileBuffer);
+      truncated.writeUInt32BE(truncated.readUInt32BE(stsz + 16) + 1, stsz + 16);
+      assert.deepEqual(
+        Extractor.verify(truncated).map((p) => [p.type, p.offset]),
+        [['table-truncated', stsz]]
+      );
+    });
+  });
+
+  describe('Subtitle track', () => {
+    test('reads mov_text cues matching the kara lyrics', async () => {
+      const fileBuffer = await fs.readFile(EXAMPLE_FILE);
+      // The writer shifts the subtitle track by the AAC encoder delay
+      const cues = Extractor.extractSubtitleCues(fileBuffer, { offset: 1105 / 44100 });
+
+      assert.deepEqual(cues.map((cue) => cue.text), [
+        'There is a house',
+        'in New Orleans',
+        'they call the rising sun',
+      ]);
+      const expected = [[0.5, 2], [2.5, 4], [4.5, 7]];
+      cues.forEach((cue, i) => {
+        assert.ok(Math.abs(cue.start - expected[i][0]) < 0.001, `Cue ${i} start`);
+        assert.ok(Math.abs(cue.end - expected[i][1]) < 0.001, `Cue ${i} end`);
+      });
+    });
+
+    test('returns the cues as WebVTT', async () => {
+      const vtt = Extractor.extractSubtitleWebVTT(await fs.readFile(EXAMPLE_FILE));
+
+      assert.ok(vtt.startsWith('WEBVTT\n'), 'Should start with the WEBVTT header');
+      assert.ok(vtt.includes('00:00:00.525 --> 00:00:02.025\nThere is a house'), 'Should contain the first cue');
+    });
+
+    test('rejects audio tracks', async () => {
+      const fileBuffer = await fs.readFile(EXAMPLE_FILE);
+      assert.throws(
+        () => Extractor.extractSubtitleCues(fileBuffer, { trackIndex: 0 }),
+        /Track 0 is not a tx3g text track \(format mp4a\)/
+      );
+    });
   });
 
   describe('Buffer input types', () => {
@@ -322,6 +752,609 @@ describe('Track Extractor Tests', () => {
     });
   });
 
+  describe('extractTrackFromReader', () => {
+    test('matches extractTrack while reading only part of the file', async () => {
+      const fileBuffer = await fs.readFile(EXAMPLE_FILE);
+      let bytesRead = 0;
+      let reads = 0;
+
+      const read = async (offset, length) => {
+        reads++;
+        const slice = fileBuffer.subarray(offset, offset + length);
+        bytesRead += slice.length;
+        return slice;
+      };
+
+      const ranged = await Extractor.extractTrackFromReader(read, 4);
+      const full = Extractor.extractTrack(fileBuffer, 4);
+
+      assert.deepEqual(ranged, full, 'Ranged extraction should match full-buffer extraction');
+      assert.ok(bytesRead < fileBuffer.length / 2, 'Should read well under half of the file');
+
+      console.log(`   Read ${(bytesRead / 1024).toFixed(1)} KB in ${reads} reads`);
+    });
+
+    test('matches extractTrack for a non-audio track', async () => {
+      const fileBuffer = await fs.readFile(EXAMPLE_FILE);
+      const read = async (offset, length) => fileBuffer.subarray(offset, offset + length);
+
+      const ranged = await Extractor.extractTrackFromReader(read, 5);
+      const full = Extractor.extractTrack(fileBuffer, 5);
+
+      assert.deepEqual(ranged, full, 'Text track extraction should match full-buffer extraction');
+      assert.equal(Extractor.getTrackInfo(ranged)[0].handlerType, 'sbtl', 'The text handler should be kept');
+    });
+
+    test('works with a Node.js FileHandle', async () => {
+      const handle = await fs.open(EXAMPLE_FILE, 'r');
+      try {
+        const read = async (offset, length) => {
+          const buffer = Buffer.alloc(length);
+          const { bytesRead } = await handle.read(buffer, 0, length, offset);
+          return buffer.subarray(0, bytesRead);
+        };
+
+        const ranged = await Extractor.extractTrackFromReader(read, 0, { maxGap: 64 * 1024 });
+        const full = Extractor.extractTrack(await fs.readFile(EXAMPLE_FILE), 0);
+
+        assert.deepEqual(ranged, full, 'FileHandle extraction should match full-buffer extraction');
+      } finally {
+        await handle.close();
+      }
+    });
+
+    test('rejects for invalid track index', async () => {
+      const fileBuffer = await fs.readFile(EXAMPLE_FILE);
+      const read = async (offset, length) => fileBuffer.subarray(offset, offset + length);
+
+      await assert.rejects(
+        () => Extractor.extractTrackFromReader(read, 99),
+        /Track 99 not found/
+      );
+    });
+  });
+
+  describe('64-bit and to-EOF atoms', () => {
+    /**
+     * Rewrite the free(8) + mdat headers before the audio as one largesize mdat
+     * header, so every chunk offset stays valid
+     */
+    async function loadWithLargesizeMdat() {
+      const data = new Uint8Array(await fs.readFile(EXAMPLE_FILE));
+      let pos = 0;
+      while (readString(data, pos + 4, 4) !== 'free') pos += readUInt32BE(data, pos);
+      assert.equal(readString(data, pos + 12, 4), 'mdat', 'Fixture should have free(8) before mdat');
+
+      const payloadSize = data.length - (pos + 16);
+      const view = new DataView(data.buffer, data.byteOffset);
+      view.setUint32(pos, 1);
+      data.set([0x6d, 0x64, 0x61, 0x74], pos + 4); // 'mdat'
+      view.setBigUint64(pos + 8, BigInt(16 + payloadSize));
+      return data;
+    }
+
+    test('extracts tracks through a largesize mdat', async () => {
+      const original = await fs.readFile(EXAMPLE_FILE);
+      const data = await loadWithLargesizeMdat();
+
+      assert.deepEqual(Extractor.extractTrack(data, 2), Extractor.extractTrack(original, 2));
+
+      const read = async (offset, length) => data.subarray(offset, offset + length);
+      const ranged = await Extractor.extractTrackFromReader(read, 2);
+      assert.deepEqual(ranged, Extractor.extractTrack(original, 2));
+    });
+
+    test('extracts tracks when the last atom runs to end of file (size 0)', async () => {
+      const original = await fs.readFile(EXAMPLE_FILE);
+      const data = new Uint8Array(original);
+      let pos = 0;
+      while (readString(data, pos + 4, 4) !== 'mdat') pos += readUInt32BE(data, pos);
+      new DataView(data.buffer, data.byteOffset).setUint32(pos, 0);
+
+      assert.equal(Extractor.getTrackCount(data), Extractor.getTrackCount(original));
+      assert.deepEqual(Extractor.extractTrack(data, 0), Extractor.extractTrack(original, 0));
+    });
+  });
+
+  describe('extractTrackRange', () => {
+    const frameSeconds = 1024 / 44100;
+
+    test('snaps the requested range to AAC frame boundaries', async () => {
+      const fileBuffer = await fs.readFile(EXAMPLE_FILE);
+      const { data, start, end } = Extractor.extractTrackRange(fileBuffer, 4, 2.5, 4);
+
+      assert.ok(data instanceof Uint8Array, 'Should return a Uint8Array');
+      assert.equal(readString(data, 4, 4), 'ftyp', 'Should start with ftyp atom');
+      assert.ok(start <= 2.5 && start > 2.5 - frameSeconds, `Start should snap down (got ${start})`);
+      assert.ok(end >= 4 && end < 4 + frameSeconds, `End should snap up (got ${end})`);
+
+      const outputPath = path.join(tempDir, 'range.m4a');
+      await fs.writeFile(outputPath, data);
+
+      try {
+        const { stdout } = await execAsync(
+          `ffprobe -v error -show_entries format=duration -of csv=p=0 "${outputPath}"`
+        );
+        const duration = parseFloat(stdout.trim());
+        assert.ok(
+          Math.abs(duration - (end - start)) < 0.001,
+          `Duration should match kept range (got ${duration}, expected ${end - start})`
+        );
+        console.log(`   Kept ${start.toFixed(3)}s - ${end.toFixed(3)}s (${duration.toFixed(3)}s)`);
+      } catch (err) {
+        if (err.message.includes('ffprobe')) {
+          console.log('   (ffprobe not available, skipping duration verification)');
+        } else {
+          throw err;
+        }
+      }
+    });
+
+    test('clamps the range to the end of the track', async () => {
+      const fileBuffer = await fs.readFile(EXAMPLE_FILE);
+      const info = Extractor.getTrackInfo(fileBuffer)[0];
+      const { end } = Extractor.extractTrackRange(fileBuffer, 0, 7, 60);
+
+      assert.ok(end <= info.duration, 'End should not pass the end of the track');
+    });
+
+    test('throws for an empty or out-of-track range', async () => {
+      const fileBuffer = await fs.readFile(EXAMPLE_FILE);
+
+      assert.throws(() => Extractor.extractTrackRange(fileBuffer, 0, 4, 2), /Invalid time range/);
+      assert.throws(() => Extractor.extractTrackRange(fileBuffer, 0, 600, 610), /outside the track/);
+    });
+
+    test('throws for a non-audio track', async () => {
+      const fileBuffer = await fs.readFile(EXAMPLE_FILE);
+
+      assert.throws(() => Extractor.extractTrackRange(fileBuffer, 5, 0, 2), /Track 5 is not an audio track \(handler sbtl\)/);
+    });
+  });
+
+  describe('Fragmented MP4', () => {
+    /**
+     * Remux the example into a fragmented MP4 with FFmpeg (null if unavailable)
+     */
+    async function makeFragmented(name, movflags) {
+      const outputPath = path.join(tempDir, name);
+      try {
+        await execAsync(
+          `ffmpeg -loglevel error -i "${EXAMPLE_FILE}" -map 0:a -c copy -movflags ${movflags} -frag_duration 1000000 "${outputPath}" -y`
+        );
+      } catch {
+        console.log('   (FFmpeg not available, skipping fragmented MP4 test)');
+        return null;
+      }
+      return fs.readFile(outputPath);
+    }
+
+    test('rebuilds the same samples as the progressive file', async () => {
+      const fragmented = await makeFragmented('fragmented.mp4', 'frag_keyframe+empty_moov');
+      if (!fragmented) return;
+
+      const progressive = await fs.readFile(EXAMPLE_FILE);
+      const count = Extractor.getTrackCount(fragmented);
+      assert.equal(count, 5, 'Should count the audio tracks');
+
+      for (let i = 0; i < count; i++) {
+        const expected = Extractor.getTrackSamples(progressive, i).samples;
+        const actual = Extractor.getTrackSamples(fragmented, i).samples;
+        assert.equal(actual.length, expected.length, `Track ${i} sample count`);
+        assert.ok(
+          actual.every((sample, j) => Buffer.compare(sample, expected[j]) === 0),
+          `Track ${i} samples should match`
+        );
+      }
+
+      const info = Extractor.getTrackInfo(fragmented);
+      assert.ok(info.every((track) => track.duration > 0), 'Fragmented tracks should have a duration');
+    });
+
+    test('extracts from moof-relative fragments with ranged reads', async () => {
+      const fragmented = await makeFragmented(
+        'fragmented-moof.mp4',
+        'frag_keyframe+empty_moov+default_base_moof'
+      );
+      if (!fragmented) return;
+
+      const read = async (offset, length) => fragmented.subarray(offset, offset + length);
+      const ranged = await Extractor.extractTrackFromReader(read, 4);
+      const full = Extractor.extractTrack(fragmented, 4);
+
+      const progressive = await fs.readFile(EXAMPLE_FILE);
+      assert.deepEqual(ranged, full, 'Ranged extraction should match full-buffer extraction');
+      assert.equal(
+        Extractor.getTrackInfo(full)[0].sampleCount,
+        Extractor.getTrackInfo(progressive)[4].sampleCount
+      );
+    });
+  });
+
+  describe('extractTrackSegments', () => {
+    test('returns an init segment and contiguous media segments', async () => {
+      const fileBuffer = await fs.readFile(EXAMPLE_FILE);
+      const { mimeType, initSegment, segments } = Extractor.extractTrackSegments(fileBuffer, 4, {
+        segmentDuration: 2,
+      });
+
+      assert.equal(mimeType, 'audio/mp4; codecs="mp4a.40.2"');
+      assert.equal(readString(initSegment, 4, 4), 'ftyp', 'Init segment should start with ftyp');
+      assert.ok(Buffer.from(initSegment).includes('mvex'), 'Init segment should declare fragments');
+
+      assert.ok(segments.length > 1, 'Should produce several segments');
+      assert.equal(segments[0].start, 0);
+      for (let i = 0; i < segments.length; i++) {
+        assert.equal(readString(segments[i].data, 4, 4), 'moof', 'Media segment should start with moof');
+        if (i > 0) assert.equal(segments[i].start, segments[i - 1].end, 'Segments should be contiguous');
+        if (i < segments.length - 1) {
+          assert.ok(Math.abs(segments[i].end - 2 * (i + 1)) < 1024 / 44100, 'Cut near each 2s boundary');
+        }
+      }
+
+      console.log(`   ${segments.length} segments for ${segments[segments.length - 1].end.toFixed(2)}s`);
+    });
+
+    test('segments concatenate into a fragmented file with the same samples', async () => {
+      const fileBuffer = await fs.readFile(EXAMPLE_FILE);
+      const { initSegment, segments } = Extractor.extractTrackSegments(fileBuffer, 1);
+      const stream = Buffer.concat([initSegment, ...segments.map((segment) => segment.data)]);
+
+      const expected = Extractor.getTrackSamples(fileBuffer, 1).samples;
+      const actual = Extractor.getTrackSamples(stream, 0).samples;
+
+      assert.equal(actual.length, expected.length);
+      assert.ok(actual.every((sample, i) => Buffer.compare(sample, expected[i]) === 0));
+    });
+  });
+
+  describe('Gapless info', () => {
+    /**
+     * Read the first elst entry and the iTunSMPB text of an extracted track
+     */
+    function readGapless(trackBuffer) {
+      const bytes = Buffer.from(trackBuffer);
+      const elst = bytes.indexOf('elst');
+      const smpb = bytes.indexOf('iTunSMPB');
+      return {
+        edit: elst < 0 ? null : {
+          segmentDuration: readUInt32BE(bytes, elst + 12),
+          mediaTime: readUInt32BE(bytes, elst + 16),
+        },
+        // name atom is followed by the data atom: [size][data][type][locale]text
+        iTunSMPB: smpb < 0 ? null : readString(
+          bytes,
+          smpb + 8 + 16,
+          readUInt32BE(bytes, smpb + 8) - 16
+        ),
+      };
+    }
+
+    test('keeps the source edit list', async () => {
+      const fileBuffer = await fs.readFile(EXAMPLE_FILE);
+      const { edit, iTunSMPB } = readGapless(Extractor.extractTrack(fileBuffer, 0));
+
+      // Source elst: 8000 ms starting after 1024 priming samples
+      assert.deepEqual(edit, { segmentDuration: 8 * 44100, mediaTime: 1024 });
+      assert.equal(iTunSMPB.split(' ')[2], '00000400', 'iTunSMPB delay should follow the edit list');
+    });
+
+    test('synthesizes edit list and iTunSMPB from kara encoder delay', async () => {
+      const fileBuffer = Buffer.from(await fs.readFile(EXAMPLE_FILE));
+
+      // Hide the edit lists by renaming every edts atom to free
+      for (let i = fileBuffer.indexOf('edts'); i >= 0; i = fileBuffer.indexOf('edts', i)) {
+        fileBuffer.write('free', i, 'latin1');
+      }
+
+      const { edit, iTunSMPB } = readGapless(Extractor.extractTrack(fileBuffer, 4));
+      const fields = iTunSMPB.trim().split(' ');
+
+      assert.equal(edit.mediaTime, 1105, 'Should use kara audio.encoder_delay_samples');
+      assert.equal(parseInt(fields[1], 16), 1105);
+      assert.equal(parseInt(fields[3], 16), edit.segmentDuration);
+    });
+
+    test('leaves non-audio tracks without gapless info', async () => {
+      const fileBuffer = Buffer.from(await fs.readFile(EXAMPLE_FILE));
+      assert.equal(readGapless(Extractor.extractTrack(fileBuffer, 5)).iTunSMPB, null, 'Text track should get no iTunSMPB');
+
+      // Without edit lists, no priming delay is synthesized for the text track
+      for (let i = fileBuffer.indexOf('edts'); i >= 0; i = fileBuffer.indexOf('edts', i)) {
+        fileBuffer.write('free', i, 'latin1');
+      }
+      assert.deepEqual(readGapless(Extractor.extractTrack(fileBuffer, 5)), { edit: null, iTunSMPB: null });
+      assert.equal(readGapless(Extractor.extractTrack(fileBuffer, 4)).edit.mediaTime, 1105, 'Audio tracks still get one');
+    });
+  });
+
+  describe('AAC decoding', () => {
+    test('getTrackSamples exposes the AAC sample entry', async () => {
+      const fileBuffer = await fs.readFile(EXAMPLE_FILE);
+      const { sampleEntry, samples } = Extractor.getTrackSamples(fileBuffer, 0);
+
+      assert.equal(sampleEntry.format, 'mp4a');
+      assert.ok(sampleEntry.esds.decoderSpecificInfo.length >= 2, 'Should have an AudioSpecificConfig');
+      assert.equal(samples.length, Extractor.getTrackInfo(fileBuffer)[0].sampleCount);
+
+      const config = Extractor.parseAudioSpecificConfig(sampleEntry.esds.decoderSpecificInfo);
+      assert.equal(config.objectType, 2, 'Should be AAC-LC');
+      assert.equal(config.sampleRate, sampleEntry.sampleRate);
+    });
+
+    test('decodes a stem to per-channel Float32 PCM without priming samples', async () => {
+      const fileBuffer = await fs.readFile(EXAMPLE_FILE);
+      const full = AAC.decodeAacTrack(fileBuffer, 4, { encoderDelaySamples: 0 });
+      // The priming defaults to the edit list media time (1024 samples here)
+      const trimmed = AAC.decodeAacTrack(fileBuffer, 4);
+
+      assert.equal(trimmed.sampleRate, 44100);
+      assert.equal(trimmed.channels.length, 2);
+      assert.ok(trimmed.channels[0] instanceof Float32Array);
+      assert.equal(trimmed.channels[0].length, full.channels[0].length - 1024);
+      assert.deepEqual(trimmed.channels[1], full.channels[1].subarray(1024));
+
+      const peak = trimmed.channels[0].reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+      assert.ok(peak > 0.01 && peak <= 1, `Decoded audio should not be silent or clipped (peak ${peak})`);
+
+      console.log(`   Decoded ${trimmed.channels[0].length} samples/channel, peak ${peak.toFixed(3)}`);
+    });
+
+    test('decodes the fixture tone accurately', async () => {
+      // Track 4 of the example is an 880 Hz sine at about -21 dBFS on both channels
+      const fileBuffer = await fs.readFile(EXAMPLE_FILE);
+      const { sampleRate, channels } = AAC.decodeAacTrack(fileBuffer, 4);
+
+      for (const channel of channels) {
+        const x = channel.subarray(sampleRate, sampleRate * 3);
+
+        let crossings = 0;
+        for (let i = 1; i < x.length; i++) {
+          if ((x[i - 1] < 0) !== (x[i] < 0)) crossings++;
+        }
+        const frequency = crossings / 2 / (x.length / sampleRate);
+        assert.ok(Math.abs(frequency - 880) < 1, `Tone should be 880 Hz (got ${frequency})`);
+
+        // Least-squares fit of an 880 Hz sine, then compare the residual
+        let sinSum = 0;
+        let cosSum = 0;
+        for (let i = 0; i < x.length; i++) {
+          const phase = (2 * Math.PI * 880 * i) / sampleRate;
+          sinSum += x[i] * Math.sin(phase);
+          cosSum += x[i] * Math.cos(phase);
+        }
+        const a = (2 * sinSum) / x.length;
+        const b = (2 * cosSum) / x.length;
+        let signal = 0;
+        let noise = 0;
+        for (let i = 0; i < x.length; i++) {
+          const phase = (2 * Math.PI * 880 * i) / sampleRate;
+          const fit = a * Math.sin(phase) + b * Math.cos(phase);
+          signal += fit * fit;
+          noise += (x[i] - fit) ** 2;
+        }
+        const amplitude = Math.hypot(a, b);
+        const snr = 10 * Math.log10(signal / noise);
+
+        assert.ok(Math.abs(amplitude - 0.0884) < 0.001, `Amplitude should be about 0.0884 (got ${amplitude})`);
+        assert.ok(snr > 60, `SNR against a fitted sine should exceed 60 dB (got ${snr.toFixed(1)} dB)`);
+      }
+    });
+
+    test('rejects non-AAC configurations', () => {
+      // AAC Main profile (object type 1), 44.1kHz stereo
+      assert.throws(() => new AAC.AacDecoder(new Uint8Array([0x0a, 0x10])), /object type 1/);
+    });
+
+    test('decoded PCM matches FFmpeg', async () => {
+      const fileBuffer = await fs.readFile(EXAMPLE_FILE);
+      const pcmPath = path.join(tempDir, 'track0.f32');
+
+      try {
+        await execAsync(
+          `ffmpeg -loglevel error -i "${EXAMPLE_FILE}" -map 0:a:0 -f f32le "${pcmPath}" -y`
+        );
+      } catch {
+        console.log('   (FFmpeg not available, skipping PCM comparison)');
+        return;
+      }
+
+      const pcm = await fs.readFile(pcmPath);
+      const reference = new Float32Array(pcm.buffer, pcm.byteOffset, pcm.length / 4);
+
+      // FFmpeg drops the 1024 priming samples signalled by the edit list, as does the decoder
+      const { channels } = AAC.decodeAacTrack(fileBuffer, 0);
+      const length = Math.min(channels[0].length, reference.length / 2);
+      let maxError = 0;
+      for (let i = 0; i < length; i++) {
+        maxError = Math.max(
+          maxError,
+          Math.abs(channels[0][i] - reference[i * 2]),
+          Math.abs(channels[1][i] - reference[i * 2 + 1])
+        );
+      }
+
+      assert.ok(maxError < 1e-4, `PCM should match FFmpeg (max error ${maxError})`);
+      console.log(`   Max difference from FFmpeg: ${maxError.toExponential(2)}`);
+    });
+  });
+
+  describe('ALAC decoding', () => {
+    /**
+     * Encode an ALAC file with FFmpeg and decode it back to interleaved PCM
+     * Returns null when FFmpeg is not available.
+     */
+    async function encodeAlac(name, inputArgs, sampleFormat, pcmFormat) {
+      const alacPath = path.join(tempDir, `${name}.m4a`);
+      const pcmPath = path.join(tempDir, `${name}.pcm`);
+
+      try {
+        await execAsync(
+          `ffmpeg -loglevel error ${inputArgs} -c:a alac -sample_fmt ${sampleFormat} "${alacPath}" -y`
+        );
+        await execAsync(`ffmpeg -loglevel error -i "${alacPath}" -f ${pcmFormat} "${pcmPath}" -y`);
+      } catch {
+        return null;
+      }
+
+      return { data: await fs.readFile(alacPath), pcm: await fs.readFile(pcmPath) };
+    }
+
+    test('decodes 16-bit stereo bit-exactly', async () => {
+      const encoded = await encodeAlac(
+        'alac16',
+        `-i "${EXAMPLE_FILE}" -map 0:a:0`,
+        's16p',
+        's16le'
+      );
+      if (!encoded) {
+        console.log('   (FFmpeg not available, skipping ALAC decoding)');
+        return;
+      }
+
+      const info = Extractor.getTrackInfo(encoded.data)[0];
+      assert.equal(info.alac.bitDepth, 16);
+
+      const { sampleRate, channels } = ALAC.decodeAlacTrack(encoded.data, 0);
+      const reference = new Int16Array(encoded.pcm.buffer, encoded.pcm.byteOffset, encoded.pcm.length / 2);
+
+      assert.equal(sampleRate, 44100);
+      assert.equal(channels.length, 2);
+      assert.ok(channels[0] instanceof Float32Array);
+      assert.equal(channels[0].length * 2, reference.length);
+
+      for (let i = 0; i < channels[0].length; i++) {
+        if (channels[0][i] * 32768 !== reference[i * 2] || channels[1][i] * 32768 !== reference[i * 2 + 1]) {
+          assert.fail(`Sample ${i} differs from FFmpeg`);
+        }
+      }
+      console.log(`   Decoded ${channels[0].length} samples/channel, identical to FFmpeg`);
+    });
+
+    test('decodes 24-bit stereo bit-exactly', async () => {
+      const encoded = await encodeAlac(
+        'alac24-stereo',
+        `-i "${EXAMPLE_FILE}" -map 0:a:0`,
+        's32p',
+        's32le'
+      );
+      if (!encoded) {
+        console.log('   (FFmpeg not available, skipping ALAC decoding)');
+        return;
+      }
+
+      const { channels } = ALAC.decodeAlacTrack(encoded.data, 0);
+      const reference = new Int32Array(encoded.pcm.buffer, encoded.pcm.byteOffset, encoded.pcm.length / 4);
+
+      assert.equal(Extractor.getTrackInfo(encoded.data)[0].alac.bitDepth, 24);
+      assert.equal(channels[0].length * 2, reference.length);
+
+      for (let i = 0; i < channels[0].length; i++) {
+        for (let c = 0; c < 2; c++) {
+          if (Math.round(channels[c][i] * 2 ** 23) !== reference[i * 2 + c] >> 8) {
+            assert.fail(`Sample ${i} channel ${c} differs from FFmpeg`);
+          }
+        }
+      }
+    });
+
+    test('decodes 24-bit mono noise (uncompressed frames) bit-exactly', async () => {
+      const encoded = await encodeAlac(
+        'alac24',
+        '-f lavfi -i anoisesrc=d=0.5:c=white:a=1:r=48000 -ac 1',
+        's32p',
+        's32le'
+      );
+      if (!encoded) {
+        console.log('   (FFmpeg not available, skipping ALAC decoding)');
+        return;
+      }
+
+      const { sampleRate, channels } = ALAC.decodeAlacTrack(encoded.data, 0);
+      const reference = new Int32Array(encoded.pcm.buffer, encoded.pcm.byteOffset, encoded.pcm.length / 4);
+
+      assert.equal(sampleRate, 48000);
+      assert.equal(channels.length, 1);
+      assert.equal(channels[0].length, reference.length);
+
+      for (let i = 0; i < reference.length; i++) {
+        if (Math.round(channels[0][i] * 2 ** 23) !== reference[i] >> 8) {
+          assert.fail(`Sample ${i} differs from FFmpeg`);
+        }
+      }
+    });
+
+    test('decodes a hand-built escape (uncompressed) frame', () => {
+      // frameLength 4096, version 0, 16-bit, pb 40, mb 10, kb 14, stereo, maxRun 255, 44.1kHz
+      const decoder = new ALAC.AlacDecoder(new Uint8Array([
+        0, 0, 16, 0, 0, 16, 40, 10, 14, 2, 0, 255, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0xac, 0x44,
+      ]));
+      const pcm = [[0, 32767, -32768, 1234], [-1, 16384, -16384, -4321]];
+
+      // CPE, tag 0, 12 zero bits, partial + escape header, sample count, interleaved samples, END
+      const fields = [[1, 3], [0, 4], [0, 12], [0b1001, 4], [4, 32]];
+      for (let i = 0; i < 4; i++) {
+        fields.push([pcm[0][i] & 0xffff, 16], [pcm[1][i] & 0xffff, 16]);
+      }
+      fields.push([7, 3]);
+      const bits = fields.flatMap(([value, count]) =>
+        Array.from({ length: count }, (_, i) => Math.floor(value / 2 ** (count - 1 - i)) & 1)
+      );
+      const frame = new Uint8Array(Math.ceil(bits.length / 8));
+      bits.forEach((bit, i) => {
+        frame[i >> 3] |= bit << (7 - (i & 7));
+      });
+
+      const channels = decoder.decodeFrame(frame);
+      assert.equal(channels.length, 2);
+      assert.deepEqual(Array.from(channels[0], (v) => v * 32768), pcm[0]);
+      assert.deepEqual(Array.from(channels[1], (v) => v * 32768), pcm[1]);
+    });
+
+    test('decodes a compressed 16-bit stereo fixture bit-exactly', async () => {
+      // 6000 samples of 440 Hz / 660 Hz tones: one full compressed frame and one partial one
+      const { sampleRate, channels } = ALAC.decodeAlacTrack(await fs.readFile(ALAC_FIXTURE), 0);
+
+      assert.equal(sampleRate, 44100);
+      assert.equal(channels.length, 2);
+      assert.equal(channels[0].length, 6000);
+      for (let i = 0; i < 6000; i++) {
+        const left = Math.round(12000 * Math.sin((2 * Math.PI * 440 * i) / 44100));
+        const right = Math.round(8000 * Math.sin((2 * Math.PI * 660 * i) / 44100));
+        if (channels[0][i] * 32768 !== left || channels[1][i] * 32768 !== right) {
+          assert.fail(`Sample ${i} differs from the encoded PCM`);
+        }
+      }
+    });
+
+    test('rejects non-ALAC tracks', async () => {
+      const fileBuffer = await fs.readFile(EXAMPLE_FILE);
+      assert.throws(() => ALAC.decodeAlacTrack(fileBuffer, 0), /not an ALAC track \(format: mp4a\)/);
+      assert.throws(() => Extractor.parseAlacCookie(new Uint8Array(10)), /too short/);
+    });
+
+    test('parses bare and frma/alac-wrapped magic cookies alike', () => {
+      // frameLength 4096, version 0, 16-bit, pb 40, mb 10, kb 14, stereo, maxRun 255, 48kHz
+      const cookie = new Uint8Array([
+        0, 0, 16, 0, 0, 16, 40, 10, 14, 2, 0, 255, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0xbb, 0x80,
+      ]);
+      const atomHeader = (size, type) => [0, 0, 0, size, ...Array.from(type, (c) => c.charCodeAt(0))];
+      const wrapped = new Uint8Array([
+        ...atomHeader(12, 'frma'), ...Array.from('alac', (c) => c.charCodeAt(0)),
+        ...atomHeader(36, 'alac'), 0, 0, 0, 0,
+        ...cookie,
+      ]);
+
+      const bare = Extractor.parseAlacCookie(cookie);
+      assert.equal(bare.frameLength, 4096);
+      assert.equal(bare.bitDepth, 16);
+      assert.equal(bare.channels, 2);
+      assert.equal(bare.sampleRate, 48000);
+      assert.deepEqual(bare.magicCookie, cookie);
+      assert.deepEqual(Extractor.parseAlacCookie(wrapped), bare);
+    });
+  });
+
   describe('Comparison with FFmpeg extraction', () => {
     test('extracted track duration matches FFmpeg extraction', async () => {
       // Extract with our method
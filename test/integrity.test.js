@@ -12,12 +12,19 @@ import crypto from 'crypto';
 import path from 'path';
 import os from 'os';
 import { fileURLToPath } from 'url';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+
+const execAsync = promisify(exec);
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+import { parseFile } from 'music-metadata';
 import M4AStemsReader from '../src/reader.js';
 import * as Atoms from '../src/atoms.js';
+import * as BufferAtoms from '../src/buffer-atoms.js';
+import * as Extractor from '../src/extractor.js';
 
 const EXAMPLE_FILE = path.join(__dirname, 'examples', 'Dr_Tom-House_of_the_rising_sun-clip.stem.m4a');
 
@@ -29,6 +36,16 @@ async function hashFile(filePath) {
   return crypto.createHash('sha256').update(content).digest('hex');
 }
 
+/**
+ * Size of the moov/udta/meta free (padding) atom, 0 if there is none
+ */
+async function metaPaddingSize(filePath) {
+  const child = (atom, type) => atom?.children?.find((c) => c.type === type);
+  const moov = (await Atoms.dumpAtomTree(filePath)).find((atom) => atom.type === 'moov');
+  const free = child(child(child(moov, 'udta'), 'meta'), 'free');
+  return free ? free.size : 0;
+}
+
 describe('File Integrity Tests', () => {
   let tempDir;
   let originalHash;
@@ -460,6 +477,690 @@ describe('File Integrity Tests', () => {
     assert.equal(readback.audio.sources.length, originalData.audio.sources.length, 'Audio sources preserved');
   });
 
+  test('Batch edit: applies every change with a single write', async () => {
+    const editedPath = path.join(tempDir, 'batch-edit.stem.m4a');
+    const sequentialPath = path.join(tempDir, 'batch-sequential.stem.m4a');
+    await fs.copyFile(EXAMPLE_FILE, editedPath);
+    await fs.copyFile(EXAMPLE_FILE, sequentialPath);
+
+    const changes = {
+      kara: {
+        audio: {
+          sources: originalData.audio.sources.map(s => ({ id: s.name || s.id, role: s.name || s.id, track: s.trackIndex })),
+          profile: originalData.audio.profile || 'STEMS-4',
+          encoder_delay_samples: 0,
+          presets: []
+        },
+        timing: { offset_sec: 0 },
+        lines: [{ start: 1, end: 2, text: 'Batched' }]
+      },
+      metadata: { title: 'Batch Title', artist: 'Batch Artist', tempo: 120 },
+      key: 'F#m',
+      track: { no: 3, of: 12 },
+      vpch: { sampleRate: 25, data: [{ midi: 60, cents: 0 }, { midi: 62, cents: 10 }] },
+      kons: [0.5, 1.2],
+    };
+
+    // Count files opened for writing by the edit (a temp file to rename, or the file itself to patch)
+    let writes = 0;
+    const open = fs.open;
+    fs.open = (file, flags, ...args) => {
+      if (flags !== 'r') writes++;
+      return open(file, flags, ...args);
+    };
+    try {
+      await Atoms.edit(editedPath, {
+        ...changes,
+        stems: ['Beat', 'Low', 'Keys', 'Voice'],
+        tracks: { 0: { enabled: false }, 4: { enabled: true } },
+      });
+    } finally {
+      fs.open = open;
+    }
+    assert.equal(writes, 1, 'The file should be written once');
+
+    // The ilst matches what the single-item writers produce one by one
+    await Atoms.writeKaraAtom(sequentialPath, changes.kara);
+    await Atoms.addStandardMetadata(sequentialPath, changes.metadata);
+    await Atoms.addMusicalKey(sequentialPath, changes.key);
+    await Atoms.addTrackNumber(sequentialPath, changes.track);
+    await Atoms.writeVpchAtom(sequentialPath, changes.vpch);
+    await Atoms.writeKonsAtom(sequentialPath, changes.kons);
+
+    const edited = await fs.readFile(editedPath);
+    const sequential = await fs.readFile(sequentialPath);
+    const ilst = (buffer) => {
+      const offset = buffer.indexOf('ilst') - 4;
+      return buffer.subarray(offset, offset + buffer.readUInt32BE(offset));
+    };
+    assert.ok(ilst(edited).equals(ilst(sequential)), 'ilst should match the sequential writes');
+
+    const readback = await M4AStemsReader.load(editedPath);
+    assert.equal(readback.metadata.title, 'Batch Title');
+    assert.equal(readback.metadata.key, 'F#m');
+    assert.equal(readback.lyrics[0].text, 'Batched');
+
+    const stems = await Atoms.readNiStemsMetadata(editedPath);
+    assert.deepEqual(stems.stems.map((stem) => stem.name), ['Beat', 'Low', 'Keys', 'Voice'], 'stem atom should be replaced');
+
+    const tracks = Extractor.getTrackInfo(edited);
+    assert.deepEqual(tracks.map((t) => t.enabled), [false, false, false, false, true, true], 'tkhd flags should change');
+
+    assert.deepEqual(Extractor.verify(edited), [], 'Edited file should be structurally valid');
+    const original = await fs.readFile(EXAMPLE_FILE);
+    assert.deepEqual(
+      Extractor.getTrackSamples(edited, 4).samples,
+      Extractor.getTrackSamples(original, 4).samples,
+      'Audio samples should be unchanged'
+    );
+  });
+
+  test('Batch edit: invalid changes leave the file untouched', async () => {
+    const outputPath = path.join(tempDir, 'batch-invalid.stem.m4a');
+    await fs.copyFile(EXAMPLE_FILE, outputPath);
+
+    await assert.rejects(
+      Atoms.edit(outputPath, { metadata: { title: 'Never written' }, vpch: { sampleRate: 25 } }),
+      /Invalid pitch data/
+    );
+    await assert.rejects(Atoms.edit(outputPath, { titel: 'Typo' }), /Unknown edit "titel"/);
+    await assert.rejects(Atoms.edit(outputPath, { tracks: { 9: { enabled: true } } }), /Track 9 not found/);
+    await assert.rejects(Atoms.edit(outputPath, { track: 'three' }), /track must be a number or \{ no, of \} \(got "three"\)/);
+    const data = await fs.readFile(outputPath);
+    assert.throws(() => BufferAtoms.edit(data, { track: { no: 70000 } }), /track must be a number or \{ no, of \}/);
+
+    assert.equal(await hashFile(outputPath), originalHash, 'File should be unchanged');
+  });
+
+  test('Atomic write: an interrupted write leaves the original file', async () => {
+    const writeDir = await fs.mkdtemp(path.join(tempDir, 'atomic-'));
+    const outputPath = path.join(writeDir, 'song.stem.m4a');
+    await fs.copyFile(EXAMPLE_FILE, outputPath);
+
+    // Die between writing the temp file and replacing the original
+    const rename = fs.rename;
+    fs.rename = async () => {
+      throw new Error('Simulated crash');
+    };
+    try {
+      // These edits fit the fixture's padding, so ask for the atomic rewrite explicitly
+      await assert.rejects(Atoms.addMusicalKey(outputPath, 'Dm', { inPlace: false }), /Simulated crash/);
+      await assert.rejects(Atoms.writeKaraAtom(outputPath, { lines: [] }, { inPlace: false }), /Simulated crash/);
+      await assert.rejects(Atoms.removeCoverArt(outputPath, { inPlace: false }), /Simulated crash/);
+    } finally {
+      fs.rename = rename;
+    }
+
+    assert.equal(await hashFile(outputPath), originalHash, 'Original file should be intact');
+    assert.deepEqual(await fs.readdir(writeDir), ['song.stem.m4a'], 'Temp files should be cleaned up');
+  });
+
+  test('Atomic write: backup keeps the previous file and permissions are kept', async () => {
+    const writeDir = await fs.mkdtemp(path.join(tempDir, 'backup-'));
+    const outputPath = path.join(writeDir, 'song.stem.m4a');
+    await fs.copyFile(EXAMPLE_FILE, outputPath);
+    await fs.chmod(outputPath, 0o640);
+
+    await Atoms.addMusicalKey(outputPath, 'Dm', { backup: true, inPlace: false });
+
+    assert.equal(await hashFile(`${outputPath}.bak`), originalHash, 'Backup should hold the previous file');
+    assert.equal(BufferAtoms.readMusicalKey(await fs.readFile(outputPath)), 'Dm');
+    assert.equal((await fs.stat(outputPath)).mode & 0o777, 0o640, 'File mode should be preserved');
+    assert.deepEqual((await fs.readdir(writeDir)).sort(), ['song.stem.m4a', 'song.stem.m4a.bak']);
+
+    await Atoms.addMusicalKey(outputPath, 'Em');
+    assert.equal(await hashFile(`${outputPath}.bak`), originalHash, 'Backups are opt-in per write');
+
+    // An in-place patch only backs up the moov bytes it replaces
+    const before = await fs.readFile(outputPath);
+    const moovOffset = before.indexOf('moov') - 4;
+    await Atoms.addMusicalKey(outputPath, 'Am', { backup: true });
+    const moovBackup = await fs.readFile(`${outputPath}.moov.bak`);
+    assert.ok(moovBackup.equals(before.subarray(moovOffset, moovOffset + before.readUInt32BE(moovOffset))));
+    assert.equal(BufferAtoms.readMusicalKey(await fs.readFile(outputPath)), 'Am');
+    assert.equal(await hashFile(`${outputPath}.bak`), originalHash, 'The full backup should be left alone');
+  });
+
+  test('Padding: edits that fit the padding keep moov in place', async () => {
+    const outputPath = path.join(tempDir, 'padding-test.stem.m4a');
+    await fs.copyFile(EXAMPLE_FILE, outputPath);
+    const moovRange = (buffer) => {
+      const offset = buffer.indexOf('moov') - 4;
+      return [offset, offset + buffer.readUInt32BE(offset)];
+    };
+
+    // Growing moov rewrites the file and reserves the default padding
+    await Atoms.addStandardMetadata(outputPath, { title: 'Padded '.repeat(20) });
+    assert.equal(await metaPaddingSize(outputPath), 4096, 'A rewrite should reserve 4096 bytes of padding');
+    const before = await fs.readFile(outputPath);
+
+    // Later edits consume the padding and patch only moov, unless an atomic
+    // rewrite is asked for
+    let tempFiles = 0;
+    const open = fs.open;
+    fs.open = (file, flags, ...args) => {
+      if (flags === 'wx') tempFiles++;
+      return open(file, flags, ...args);
+    };
+    try {
+      await Atoms.addMusicalKey(outputPath, 'G#m');
+      await Atoms.writeKonsAtom(outputPath, [0.5, 1.0, 1.5, 2.0]);
+      assert.equal(tempFiles, 0, 'Edits within the padding should not rewrite the file');
+      await Atoms.addStandardMetadata(outputPath, { title: 'Short' }, { inPlace: false });
+    } finally {
+      fs.open = open;
+    }
+    assert.equal(tempFiles, 1, 'inPlace: false should rewrite the file atomically');
+
+    const after = await fs.readFile(outputPath);
+    const [moovStart, moovEnd] = moovRange(before);
+    assert.deepEqual(moovRange(after), [moovStart, moovEnd], 'moov should keep its place and size');
+    assert.ok(after.subarray(0, moovStart).equals(before.subarray(0, moovStart)), 'Bytes before moov unchanged');
+    assert.ok(after.subarray(moovEnd).equals(before.subarray(moovEnd)), 'Bytes after moov unchanged');
+
+    assert.equal(BufferAtoms.readMusicalKey(after), 'G#m');
+    assert.deepEqual(BufferAtoms.readKonsAtom(after), [0.5, 1.0, 1.5, 2.0]);
+    assert.equal(BufferAtoms.readStandardMetadata(after).title, 'Short');
+    assert.deepEqual(Extractor.verify(after), []);
+
+    // Once the padding runs out the file is rewritten with fresh padding
+    const onsets = Array.from({ length: 2000 }, (_, i) => i / 10);
+    await Atoms.writeKonsAtom(outputPath, onsets);
+    const grown = await fs.readFile(outputPath);
+    assert.ok(grown.length > after.length, 'The file should grow');
+    assert.equal(await metaPaddingSize(outputPath), 4096);
+    assert.equal(BufferAtoms.readKonsAtom(grown).length, 2000);
+    assert.deepEqual(Extractor.verify(grown), []);
+    assert.deepEqual(
+      Extractor.getTrackSamples(grown, 2).samples,
+      Extractor.getTrackSamples(before, 2).samples,
+      'Audio samples should be unchanged'
+    );
+  });
+
+  test('Padding: size is configurable and can be turned off', async () => {
+    const outputPath = path.join(tempDir, 'padding-options.stem.m4a');
+    const title = 'Longer than the fixture title '.repeat(4);
+
+    await fs.copyFile(EXAMPLE_FILE, outputPath);
+    await Atoms.addStandardMetadata(outputPath, { title }, { padding: 1024 });
+    assert.equal(await metaPaddingSize(outputPath), 1024);
+
+    await fs.copyFile(EXAMPLE_FILE, outputPath);
+    await Atoms.addStandardMetadata(outputPath, { title }, { padding: 0 });
+    assert.equal(await metaPaddingSize(outputPath), 0);
+    assert.equal(BufferAtoms.readStandardMetadata(await fs.readFile(outputPath)).title, title);
+
+    await assert.rejects(Atoms.addMusicalKey(outputPath, 'Am', { padding: 4 }), /Padding must be 0 or at least 8 bytes/);
+  });
+
+  test('Buffer atoms: readers match the file API on the example file', async () => {
+    const file = await fs.readFile(EXAMPLE_FILE);
+    // Plain ArrayBuffer, as from fetch() or File.arrayBuffer() in a browser
+    const data = file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength);
+
+    assert.deepEqual(BufferAtoms.readKaraAtom(data), await Atoms.readKaraAtom(EXAMPLE_FILE));
+    assert.deepEqual(BufferAtoms.readNiStemsMetadata(data), await Atoms.readNiStemsMetadata(EXAMPLE_FILE));
+
+    const artwork = await Atoms.readCoverArt(EXAMPLE_FILE);
+    assert.deepEqual(
+      BufferAtoms.readCoverArt(data).map((image) => ({ ...image, data: Buffer.from(image.data) })),
+      artwork
+    );
+  });
+
+  test('Buffer atoms: writers leave a Node Buffer input unchanged', async () => {
+    const data = await fs.readFile(EXAMPLE_FILE);
+    const copy = Buffer.from(data);
+
+    BufferAtoms.setDefaultTrack(data, 2);
+    BufferAtoms.disableTracks(data, [0]);
+    BufferAtoms.enableTracks(data, [1, 2, 3, 4]);
+    BufferAtoms.addStandardMetadata(data, { title: 'Unchanged input' });
+    BufferAtoms.edit(data, { key: 'Am', tracks: { 5: { enabled: false } } });
+
+    assert.ok(data.equals(copy), 'Input Buffer should be byte-identical');
+  });
+
+  test('Buffer atoms: every writer round-trips in memory', async () => {
+    const original = new Uint8Array(await fs.readFile(EXAMPLE_FILE));
+    const snapshot = original.slice();
+    const pitchData = { sampleRate: 25, data: [{ midi: 60, cents: 0 }, { midi: 62, cents: -10 }] };
+
+    let data = BufferAtoms.writeKaraAtom(original, { lines: [{ start: 1, end: 2, text: 'In memory' }] });
+    data = BufferAtoms.addNiStemsMetadata(data, ['Drums', 'Bass', 'Other', 'Vox']);
+    data = BufferAtoms.writeVpchAtom(data, pitchData);
+    data = BufferAtoms.writeKonsAtom(data, [0.5, 1.25]);
+    data = BufferAtoms.addMusicalKey(data, 'C#m');
+    data = BufferAtoms.addStandardMetadata(data, { title: 'Tïtle', artist: 'Artist', year: 1964, tempo: 118 });
+    data = BufferAtoms.addTrackNumber(data, { no: 2, of: 9 });
+
+    assert.ok(data instanceof Uint8Array);
+    assert.deepEqual(original, snapshot, 'Input should not be modified');
+
+    assert.deepEqual(BufferAtoms.readKaraAtom(data), { lines: [{ start: 1, end: 2, text: 'In memory' }] });
+    assert.deepEqual(BufferAtoms.readNiStemsMetadata(data).stems.map((stem) => stem.name), ['Drums', 'Bass', 'Other', 'Vox']);
+    assert.deepEqual(BufferAtoms.readVpchAtom(data), pitchData);
+    assert.deepEqual(BufferAtoms.readKonsAtom(data), [0.5, 1.25]);
+    assert.equal(BufferAtoms.readMusicalKey(data), 'C#m');
+    const metadata = BufferAtoms.readStandardMetadata(data);
+    assert.deepEqual(
+      { title: metadata.title, artist: metadata.artist, year: metadata.year, tempo: metadata.tempo },
+      { title: 'Tïtle', artist: 'Artist', year: '1964', tempo: 118 }
+    );
+    assert.equal(metadata.album, BufferAtoms.readStandardMetadata(original).album, 'Untouched tags should be kept');
+    assert.deepEqual(BufferAtoms.readTrackNumber(data), { no: 2, of: 9 });
+
+    const bare = BufferAtoms.removeCoverArt(data);
+    assert.equal(BufferAtoms.readCoverArt(data)[0].source, 'covr', 'The fixture cover should be kept until removed');
+    assert.deepEqual(BufferAtoms.readCoverArt(bare).filter((image) => image.source === 'covr'), []);
+    assert.equal(bare.length, data.length, 'Removed artwork should go to the padding');
+    assert.deepEqual(Extractor.verify(bare), []);
+
+    assert.deepEqual(Extractor.verify(data), [], 'Edited data should be structurally valid');
+    assert.deepEqual(
+      Extractor.getTrackSamples(data, 1).samples,
+      Extractor.getTrackSamples(original, 1).samples,
+      'Audio samples should be unchanged'
+    );
+  });
+
+  test('iTunes tags: every mapped tag round-trips', async () => {
+    const outputPath = path.join(tempDir, 'itunes-tags.stem.m4a');
+    await fs.copyFile(EXAMPLE_FILE, outputPath);
+
+    const tags = {
+      title: 'House of the Rising Sun',
+      artist: 'Dr Tom',
+      album: 'Clips',
+      albumArtist: 'Various Artists',
+      composer: 'Traditional',
+      comment: 'Stem test ✓',
+      year: '1964-06-19',
+      genre: 'Folk Rock',
+      grouping: 'Covers',
+      copyright: '℗ 2024 Dr Tom',
+      tempo: 118,
+      disc: { no: 1, of: 2 },
+      compilation: false,
+      rating: 80,
+      titleSort: 'House of the Rising Sun',
+      artistSort: 'Tom, Dr',
+      albumSort: 'Clips',
+      albumArtistSort: 'Various',
+      composerSort: 'Traditional',
+      isrc: 'USRC17607839',
+      musicbrainzTrackId: 'b1a9c0e9-d987-4042-ae91-78d6a3267d69',
+      musicbrainzReleaseTrackId: '0c5b1d2e-7f3a-4b6c-9d8e-1f2a3b4c5d6e',
+      musicbrainzAlbumId: '9e3d7a6b-5c4f-4e2d-8a1b-0c9d8e7f6a5b',
+      musicbrainzArtistId: '1f2e3d4c-5b6a-4798-8a9b-0c1d2e3f4a5b',
+      musicbrainzAlbumArtistId: '89ad4ac3-39f7-470e-963a-56509c546377',
+      musicbrainzReleaseGroupId: '2a3b4c5d-6e7f-4a8b-9c0d-1e2f3a4b5c6d',
+      musicbrainzWorkId: '3b4c5d6e-7f8a-4b9c-0d1e-2f3a4b5c6d7e',
+    };
+    assert.deepEqual(
+      Object.keys(tags).sort(),
+      BufferAtoms.ITUNES_TAGS.map((tag) => tag.key).sort(),
+      'Every mapped tag should be covered'
+    );
+
+    await Atoms.addStandardMetadata(outputPath, tags);
+    const data = await fs.readFile(outputPath);
+    assert.deepEqual(BufferAtoms.readStandardMetadata(data), tags);
+    assert.deepEqual(Extractor.verify(data), []);
+
+    // The reader goes through the same table
+    const { metadata } = await M4AStemsReader.load(outputPath);
+    for (const key of ['albumArtist', 'composer', 'disc', 'compilation', 'rating', 'artistSort', 'isrc', 'musicbrainzWorkId']) {
+      assert.deepEqual(metadata[key], tags[key], `Reader ${key} should match`);
+    }
+    assert.equal(metadata.year, 1964);
+
+    // Other taggers see the same values
+    const { common } = await parseFile(outputPath);
+    assert.equal(common.albumartist, tags.albumArtist);
+    assert.deepEqual(common.composer, [tags.composer]);
+    assert.deepEqual(common.disk, tags.disc);
+    assert.equal(common.compilation, false);
+    assert.deepEqual(common.isrc, [tags.isrc]);
+    assert.equal(common.musicbrainz_recordingid, tags.musicbrainzTrackId);
+    assert.equal(common.rating[0].rating, 0.8);
+
+    // Only the fields given are written; invalid values are rejected before writing
+    await Atoms.addStandardMetadata(outputPath, { compilation: true, disc: 2, comment: '' });
+    const updated = BufferAtoms.readStandardMetadata(await fs.readFile(outputPath));
+    assert.deepEqual([updated.compilation, updated.disc, updated.comment], [true, { no: 2, of: 0 }, tags.comment]);
+
+    const before = await hashFile(outputPath);
+    await assert.rejects(Atoms.addStandardMetadata(outputPath, { rating: 101 }), /rating must be an integer from 0 to 100/);
+    await assert.rejects(Atoms.addStandardMetadata(outputPath, { compilation: 'yes' }), /compilation must be true or false/);
+    await assert.rejects(Atoms.addStandardMetadata(outputPath, { disc: 'one' }), /disc must be a number or \{ no, of \}/);
+    await assert.rejects(Atoms.addStandardMetadata(outputPath, { tempo: -5 }), /tempo must be an integer from 0 to 65535/);
+    await assert.rejects(Atoms.addStandardMetadata(outputPath, { tempo: 121.6 }), /tempo must be an integer from 0 to 65535 \(got 121\.6\)/);
+    await assert.rejects(Atoms.addStandardMetadata(outputPath, { tempo: '128 bpm' }), /\(got "128 bpm"\)/);
+    await assert.rejects(Atoms.addStandardMetadata(outputPath, { tempo: NaN }), /\(got NaN\)/);
+    assert.equal(await hashFile(outputPath), before, 'Rejected tags should leave the file untouched');
+  });
+
+  test('NI Stems: names, colors and mastering parameters round-trip', async () => {
+    const outputPath = path.join(tempDir, 'ni-stems.stem.m4a');
+    await fs.copyFile(EXAMPLE_FILE, outputPath);
+
+    // Names only: colors follow the stem roles
+    await Atoms.addNiStemsMetadata(outputPath, ['Drums', 'Bass', 'Other', 'Vocals']);
+    let stems = await Atoms.readNiStemsMetadata(outputPath);
+    assert.deepEqual(stems.errors, []);
+    assert.deepEqual(stems.stems.map((stem) => stem.color), ['#009E73', '#D55E00', '#CC79A7', '#56B4E9']);
+
+    const config = {
+      mastering_dsp: {
+        compressor: { enabled: false, ratio: 4, threshold: -12, hp_cutoff: 400 },
+        limiter: { ceiling: -1 },
+      },
+      stems: [
+        { name: 'Kick', color: '#112233' },
+        'Bass',
+        { name: 'Pads', color: '#abcdef' },
+        { name: 'Lead Vox' },
+      ],
+    };
+    await Atoms.addNiStemsMetadata(outputPath, config);
+    stems = await Atoms.readNiStemsMetadata(outputPath);
+    assert.deepEqual(stems.errors, []);
+    assert.deepEqual(stems.stems, [
+      { name: 'Kick', color: '#112233' },
+      { name: 'Bass', color: '#D55E00' },
+      { name: 'Pads', color: '#abcdef' },
+      { name: 'Lead Vox', color: '#56B4E9' },
+    ]);
+    assert.deepEqual(stems.mastering_dsp.compressor, {
+      enabled: false,
+      input_gain: 0,
+      output_gain: 0,
+      threshold: -12,
+      dry_wet: 100,
+      attack: 0.003,
+      release: 0.3,
+      ratio: 4,
+      hp_cutoff: 400,
+    });
+    assert.deepEqual(stems.mastering_dsp.limiter, { enabled: true, threshold: -0.3, ceiling: -1, release: 0.05 });
+    assert.deepEqual(BufferAtoms.readNiStemsMetadata(BufferAtoms.addNiStemsMetadata(await fs.readFile(EXAMPLE_FILE), config)), stems);
+  });
+
+  test('NI Stems: invalid metadata is rejected on write and reported on read', async () => {
+    const outputPath = path.join(tempDir, 'ni-stems-invalid.stem.m4a');
+    await fs.copyFile(EXAMPLE_FILE, outputPath);
+
+    const rejects = (stems, pattern) => assert.rejects(Atoms.addNiStemsMetadata(outputPath, stems), pattern);
+    await rejects(['Music', 'Vocals'], /stems has 2 entries but the file has 4 stem tracks/);
+    await rejects(['A', 'B', 'C', { name: 'D', color: 'red' }], /stems\[3\]\.color must be a #RRGGBB color \(got "red"\)/);
+    await rejects(['A', 'B', '', 'D'], /stems\[2\]\.name must be a non-empty string/);
+    await rejects(
+      { stems: ['A', 'B', 'C', 'D'], mastering_dsp: { compressor: { ratio: 0.5, dry_wet: 50.5 } } },
+      /compressor\.dry_wet must be an integer from 0 to 100 \(got 50\.5\); .*compressor\.ratio must be a number from 1 to 1000/
+    );
+    await rejects({ stems: ['A', 'B', 'C', 'D'], mastering_dsp: { limiter: { knee: 1 } } }, /limiter\.knee is not a NI Stems parameter/);
+    await rejects({ names: ['A', 'B', 'C', 'D'] }, /Unknown NI Stems metadata key\(s\): names/);
+    assert.equal(await hashFile(outputPath), originalHash, 'Rejected metadata should leave the file untouched');
+
+    // Files written with out-of-range parameters still read, with the problems listed
+    const stems = await Atoms.readNiStemsMetadata(EXAMPLE_FILE);
+    assert.equal(stems.stems.length, 4);
+    assert.deepEqual(stems.errors, [
+      {
+        path: 'mastering_dsp.compressor.hp_cutoff',
+        message: 'mastering_dsp.compressor.hp_cutoff must be an integer from 300 to 500 (got 20)',
+      },
+    ]);
+
+    // Malformed JSON reads as the defaults, with the parse error listed
+    const corrupt = await fs.readFile(EXAMPLE_FILE);
+    corrupt.write('x', corrupt.indexOf('stem{') + 4, 'latin1');
+    const fallback = BufferAtoms.readNiStemsMetadata(corrupt);
+    const defaults = BufferAtoms.readNiStemsMetadata(BufferAtoms.addNiStemsMetadata(corrupt, ['A', 'B', 'C', 'D']));
+    assert.deepEqual(fallback.mastering_dsp, defaults.mastering_dsp);
+    assert.deepEqual(fallback.stems, []);
+    assert.equal(fallback.errors[0].path, 'stem');
+    assert.match(fallback.errors[0].message, /^stem is not valid JSON/);
+  });
+
+  test('Track flags: default track, enable and disable round-trip', async () => {
+    const outputPath = path.join(tempDir, 'track-flags.stem.m4a');
+    await fs.copyFile(EXAMPLE_FILE, outputPath);
+    const flags = async () =>
+      Extractor.getTrackInfo(await fs.readFile(outputPath)).map(({ enabled, inMovie, inPreview }) => [enabled, inMovie, inPreview]);
+    const on = [true, true, true];
+    const off = [false, false, false];
+    const textFlags = (await flags())[5];
+
+    // Only the master plays; the text track is left alone
+    await Atoms.setDefaultTrack(outputPath, 0);
+    assert.deepEqual(await flags(), [on, off, off, off, off, textFlags]);
+
+    await Atoms.enableTracks(outputPath, [1, 4]);
+    await Atoms.disableTracks(outputPath, [0]);
+    assert.deepEqual(await flags(), [off, on, off, off, on, textFlags]);
+
+    await Atoms.edit(outputPath, { defaultTrack: 4, tracks: { 0: { inMovie: true } } });
+    assert.deepEqual(await flags(), [[false, true, false], off, off, off, on, textFlags]);
+
+    const data = await fs.readFile(outputPath);
+    assert.equal(data.length, (await fs.stat(EXAMPLE_FILE)).size, 'Flag changes should not resize the file');
+    assert.deepEqual(Extractor.verify(data), []);
+    assert.deepEqual(
+      Extractor.getTrackInfo(BufferAtoms.setDefaultTrack(data, 0)).map((track) => track.enabled),
+      [true, false, false, false, false, textFlags[0]]
+    );
+
+    await assert.rejects(Atoms.setDefaultTrack(outputPath, 9), /Track 9 not found in file/);
+    await assert.rejects(Atoms.edit(outputPath, { tracks: { 1: { enabled: 'yes' } } }), /must set enabled, inMovie or inPreview/);
+    await assert.rejects(Atoms.edit(outputPath, { tracks: { 1: {} } }), /must set enabled, inMovie or inPreview/);
+  });
+
+  test('Track flags: the reader reports which tracks play', async () => {
+    const outputPath = path.join(tempDir, 'track-flags-reader.stem.m4a');
+    await fs.copyFile(EXAMPLE_FILE, outputPath);
+    await Atoms.setDefaultTrack(outputPath, 0);
+
+    const { tracks } = await M4AStemsReader.load(outputPath);
+    assert.equal(tracks.length, 6);
+    assert.deepEqual(tracks[0], { index: 0, type: 'audio', enabled: true, inMovie: true, inPreview: true });
+    for (const track of tracks.slice(1, 5)) {
+      assert.deepEqual(track, { index: track.index, type: 'audio', enabled: false, inMovie: false, inPreview: false });
+    }
+    assert.equal(tracks[5].type, 'text');
+  });
+
+  test('64-bit: largesize mdat survives metadata writes', async () => {
+    const outputPath = path.join(tempDir, 'largesize-test.stem.m4a');
+    const original = await fs.readFile(EXAMPLE_FILE);
+
+    // Merge the free(8) + mdat headers into one 16-byte largesize mdat header
+    const largesize = Buffer.from(original);
+    const free = (await Atoms.dumpAtomTree(EXAMPLE_FILE, 0)).find(a => a.type === 'free');
+    largesize.writeUInt32BE(1, free.offset);
+    largesize.write('mdat', free.offset + 4, 'latin1');
+    largesize.writeBigUInt64BE(BigInt(largesize.length - free.offset), free.offset + 8);
+    await fs.writeFile(outputPath, largesize);
+
+    const topLevel = await Atoms.dumpAtomTree(outputPath, 0);
+    assert.deepEqual(topLevel.map(a => a.type), ['ftyp', 'moov', 'mdat']);
+    assert.equal(topLevel[2].size, largesize.length - free.offset, 'mdat should report its 64-bit size');
+
+    await Atoms.addStandardMetadata(outputPath, { title: 'Largesize' });
+    await Atoms.writeKaraAtom(outputPath, await Atoms.readKaraAtom(EXAMPLE_FILE));
+
+    const readback = await M4AStemsReader.load(outputPath);
+    assert.equal(readback.metadata.title, 'Largesize', 'Title should be written');
+    assert.equal(readback.lyrics.length, originalData.lyrics.length, 'Lyrics should survive');
+
+    const modified = await fs.readFile(outputPath);
+    for (const trackIndex of [0, 4]) {
+      assert.deepEqual(
+        Extractor.extractTrack(modified, trackIndex),
+        Extractor.extractTrack(original, trackIndex),
+        `Track ${trackIndex} audio should be unchanged`
+      );
+    }
+  });
+
+  test('64-bit: largesize moov survives cover art removal', async () => {
+    const outputPath = path.join(tempDir, 'largesize-moov.stem.m4a');
+    const original = await fs.readFile(EXAMPLE_FILE);
+
+    // Give moov a 16-byte largesize header, taking the 8 bytes from the free atom after it
+    const [, moov, free] = await Atoms.dumpAtomTree(EXAMPLE_FILE, 0);
+    assert.equal(free.type, 'free');
+    const header = Buffer.alloc(16);
+    header.writeUInt32BE(1, 0);
+    header.write('moov', 4, 'latin1');
+    header.writeBigUInt64BE(BigInt(moov.size + 8), 8);
+    await fs.writeFile(outputPath, Buffer.concat([
+      original.subarray(0, moov.offset),
+      header,
+      original.subarray(moov.offset + 8, free.offset),
+      original.subarray(free.offset + free.size),
+    ]));
+
+    assert.equal(await Atoms.removeCoverArt(outputPath), true);
+    const modified = await fs.readFile(outputPath);
+    assert.deepEqual(Extractor.verify(modified), []);
+    assert.deepEqual(BufferAtoms.readCoverArt(modified), []);
+    assert.deepEqual(BufferAtoms.readStandardMetadata(modified), BufferAtoms.readStandardMetadata(original));
+    for (const trackIndex of [0, 4]) {
+      assert.deepEqual(
+        Extractor.extractTrack(modified, trackIndex),
+        Extractor.extractTrack(original, trackIndex),
+        `Track ${trackIndex} audio should be unchanged`
+      );
+    }
+  });
+
+  test('64-bit: chunk offsets switch from stco to co64 when they overflow', async () => {
+    const outputPath = path.join(tempDir, 'co64-test.stem.m4a');
+    const buffer = Buffer.from(await fs.readFile(EXAMPLE_FILE));
+
+    // Collect chunk offset tables from the atom tree
+    const findTables = (atoms, type, found = []) => {
+      for (const atom of atoms) {
+        if (atom.type === type) found.push(atom);
+        if (atom.children) findTables(atom.children, type, found);
+      }
+      return found;
+    };
+    const readOffsets = (buf, atom, entrySize) => {
+      const count = buf.readUInt32BE(atom.offset + 12);
+      return Array.from({ length: count }, (_, i) =>
+        entrySize === 8
+          ? Number(buf.readBigUInt64BE(atom.offset + 16 + i * 8))
+          : buf.readUInt32BE(atom.offset + 16 + i * 4)
+      );
+    };
+
+    // Pretend the audio sits just below 4 GiB so any moov growth overflows stco
+    const stcoAtoms = findTables(await Atoms.dumpAtomTree(EXAMPLE_FILE), 'stco');
+    const maxOffset = Math.max(...stcoAtoms.flatMap(atom => readOffsets(buffer, atom, 4)));
+    const shift = 0xffffffff - maxOffset - 4;
+    const expected = stcoAtoms.map(atom => {
+      const offsets = readOffsets(buffer, atom, 4).map(offset => offset + shift);
+      offsets.forEach((offset, i) => buffer.writeUInt32BE(offset, atom.offset + 16 + i * 4));
+      return offsets;
+    });
+    await fs.writeFile(outputPath, buffer);
+
+    // A title longer than the fixture's grows moov
+    await Atoms.addStandardMetadata(outputPath, { title: 'Offsets past 4 GiB '.repeat(8) });
+
+    const modified = await fs.readFile(outputPath);
+    const tree = await Atoms.dumpAtomTree(outputPath);
+    assert.equal(findTables(tree, 'stco').length, 0, 'No stco tables should remain');
+
+    const co64Atoms = findTables(tree, 'co64');
+    assert.equal(co64Atoms.length, stcoAtoms.length, 'Every stco should become co64');
+
+    const delta = modified.length - buffer.length;
+    co64Atoms.forEach((atom, i) => {
+      assert.deepEqual(
+        readOffsets(modified, atom, 8),
+        expected[i].map(offset => offset + delta),
+        'co64 offsets should be shifted by the full moov growth'
+      );
+    });
+    assert.ok(maxOffset + shift + delta > 0xffffffff, 'Offsets should now exceed 32 bits');
+  });
+
+  test('Cover art: writes, reads and removes covr images', async () => {
+    const outputPath = path.join(tempDir, 'cover-test.stem.m4a');
+    await fs.copyFile(EXAMPLE_FILE, outputPath);
+
+    // Only the magic bytes matter to the covr atom
+    const png = Buffer.concat([Buffer.from('89504e470d0a1a0a', 'hex'), Buffer.alloc(32, 1)]);
+    const jpeg = Buffer.concat([Buffer.from('ffd8ffe0', 'hex'), Buffer.alloc(32, 2), Buffer.from('ffd9', 'hex')]);
+
+    const fixtureArt = await Atoms.readCoverArt(outputPath);
+    assert.deepEqual(fixtureArt.map(a => [a.format, a.source]), [['png', 'covr']], 'Fixture has a PNG cover');
+    assert.deepEqual(originalData.artwork, fixtureArt, 'Reader should expose the artwork');
+
+    await Atoms.writeCoverArt(outputPath, [png, jpeg]);
+    let artwork = await Atoms.readCoverArt(outputPath);
+    assert.deepEqual(artwork.map(a => [a.format, a.source]), [['png', 'covr'], ['jpeg', 'covr']]);
+    assert.deepEqual(artwork[0].data, png, 'PNG bytes should round-trip');
+    assert.deepEqual(artwork[1].data, jpeg, 'JPEG bytes should round-trip');
+
+    // Writing again replaces the existing artwork
+    await Atoms.writeCoverArt(outputPath, jpeg);
+    artwork = (await M4AStemsReader.load(outputPath)).artwork;
+    assert.deepEqual(artwork.map(a => a.format), ['jpeg'], 'Writing should replace the existing artwork');
+
+    await assert.rejects(Atoms.writeCoverArt(outputPath, Buffer.from('not an image')), /not a JPEG or PNG/);
+
+    const sizeBeforeRemoval = (await fs.stat(outputPath)).size;
+    assert.equal(await Atoms.removeCoverArt(outputPath), true);
+    assert.equal(await Atoms.removeCoverArt(outputPath), false, 'Nothing left to remove');
+    assert.deepEqual(await Atoms.readCoverArt(outputPath), []);
+    assert.equal((await fs.stat(outputPath)).size, sizeBeforeRemoval, 'Removed artwork should go to the padding');
+
+    const readback = await M4AStemsReader.load(outputPath);
+    assert.equal(readback.lyrics.length, originalData.lyrics.length, 'Lyrics should survive');
+
+    const original = await fs.readFile(EXAMPLE_FILE);
+    const modified = await fs.readFile(outputPath);
+    const covrSize = 8 + 16 + fixtureArt[0].data.length; // covr header + data header, type and locale
+    // The smaller covr writes before the removal returned their space to the meta padding
+    const padding = await metaPaddingSize(outputPath);
+    assert.equal(modified.length, original.length - covrSize + padding, 'Only the covr atom should be removed');
+    for (const trackIndex of [0, 4]) {
+      assert.deepEqual(
+        Extractor.extractTrack(modified, trackIndex),
+        Extractor.extractTrack(original, trackIndex),
+        `Track ${trackIndex} audio should be unchanged`
+      );
+    }
+  });
+
+  test('Cover art: reads the attached-picture track frame', async () => {
+    const outputPath = path.join(tempDir, 'cover-track.mp4');
+    const coverPath = path.join(tempDir, 'cover.jpg');
+    try {
+      await execAsync(`ffmpeg -loglevel error -f lavfi -i color=c=blue:s=32x32 -frames:v 1 "${coverPath}" -y`);
+      await execAsync(
+        `ffmpeg -loglevel error -i "${EXAMPLE_FILE}" -i "${coverPath}" ` +
+          `-map 0:0 -map 1 -c:a copy -c:v mjpeg -f mp4 "${outputPath}" -y`
+      );
+    } catch {
+      console.log('   (FFmpeg not available, skipping attached picture test)');
+      return;
+    }
+
+    const artwork = await Atoms.readCoverArt(outputPath);
+    const frame = artwork.find(a => a.source === 'track');
+    assert.ok(frame, 'Should return the video track frame');
+    assert.equal(frame.format, 'jpeg');
+    assert.equal(frame.trackIndex, 1);
+    assert.deepEqual(frame.data.subarray(0, 3), Buffer.from('ffd8ff', 'hex'));
+  });
+
   test('Atom tree: dumpAtomTree returns complete structure', async () => {
     const atomTree = await Atoms.dumpAtomTree(EXAMPLE_FILE);
 